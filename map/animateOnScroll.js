@@ -20,6 +20,19 @@ import Viewpoint from "@arcgis/core/Viewpoint.js";
 import Camera from "@arcgis/core/Camera.js";
 
 import { animationConfig } from "./configAnimation.js";
+import { easeProgress } from "./easing.js";
+import { resolveKeyframeSegment } from "./keyframes.js";
+import { lerpAngle, sampleCameraPath } from "./cameraPath.js";
+import { interpolateFlyTo } from "./flyTo.js";
+import { cameraToViewpoint, viewpointToCamera } from "./viewpointConversion.js";
+import { resolveLayers, describeLayerReference } from "./layerUtils.js";
+import { applyFeatureFilter } from "./featureFilter.js";
+import { interpolateRenderer } from "./rendererUtils.js";
+import { interpolateTrackStyle } from "./trackRenderer.js";
+import { getSlideTimeOptions, timeExtentAtProgress } from "./timeUtils.js";
+import { interpolateLayerTimeline } from "./layerTime.js";
+import { applyEnvironment, interpolateEnvironmentBlocks } from "./environment.js";
+import { getChoreographyPlugin } from "./plugins.js";
 
 /**
  * Maps slide data keys to their corresponding animation handler functions,
@@ -28,56 +41,61 @@ import { animationConfig } from "./configAnimation.js";
 const choreographyHandlers = {
   viewpoint: interpolateViewpoint,
   timeSlider: interpolateTimeSlider,
-  environment: interpolateEnvironment
+  layerTime: interpolateLayerTime,
+  environment: interpolateEnvironment,
+  layerOpacity: interpolateLayerOpacity,
+  featureFilter: interpolateFeatureFilter,
+  layerRenderer: interpolateLayerRenderer,
+  trackRenderer: interpolateTrackRenderer
 };
 
 /**
  * Executes animation handlers for each key (defined above) in the current slide,
  * passing shared context including progress and map state.
+ * Each handler receives progress remapped through the slide's `easing` entry
+ * for that key (falling back to `easing.default`); the unmodified panel
+ * progress stays available as rawProgress. When the slide carries keyframes
+ * for a key, the handler sees only the keyframe segment the eased progress
+ * falls in, so the same two-point handlers drive multi-stage animations.
+ * slides and slideIndex give handlers access to neighbouring slides, and
+ * config the animator's configuration (animationConfig by default).
+ * Keys of registered choreography plugins (see plugins.js) are handled by
+ * their onScroll hook with the same context.
  * Used to animate transitions between slides during scroll events.
  */
-export function scrollAnimation(slideCurrent, slideNext, progress, view, timeSlider) {
-  const context = { slideCurrent, slideNext, progress, view, timeSlider };
+export function scrollAnimation(slideCurrent, slideNext, progress, view, timeSlider, slides, slideIndex, { embedded, config = animationConfig } = {}) {
+  const rawProgress = Number(progress);
+  const easing = slideCurrent.easing || {};
+  const getHandler = (key) => choreographyHandlers[key] ?? getChoreographyPlugin(key)?.onScroll;
   Object.keys(slideCurrent)
-    .filter(key => typeof choreographyHandlers[key] === "function")
+    .filter(key => typeof getHandler(key) === "function")
     .forEach(key => {
+      const eased = easeProgress(rawProgress, easing[key] ?? easing.default);
+      const segment = resolveKeyframeSegment(key, slideCurrent, slideNext, eased);
+      const context = {
+        slideCurrent: segment.slideCurrent,
+        slideNext: segment.slideNext,
+        progress: segment.progress,
+        easedProgress: eased,
+        rawProgress,
+        view,
+        timeSlider,
+        slides,
+        slideIndex,
+        embedded,
+        config
+      };
       try {
-        choreographyHandlers[key](context);
+        getHandler(key)(context);
       } catch (error) {
         console.error(`Error processing '${key}':`, error);
       }
     });
 }
 
-/**
- * Derives a viewpoint object from a 3D camera for interpolation purposes.
- */
-function deriveViewpointFromCamera(camera) {
-  if (!camera || !camera.position) return null;
-
-  // Approximate scale from z (higher z = smaller scale, roughly)
-  const scale = camera.position.z > 0 ? 100000 / camera.position.z : 100000;
-
-  // Approximate extent around the position
-  const delta = 1000; // arbitrary extent size
-  const centerX = camera.position.x;
-  const centerY = camera.position.y;
-
-  return {
-    rotation: camera.heading || 0,
-    scale: scale,
-    targetGeometry: {
-      xmin: centerX - delta,
-      ymin: centerY - delta,
-      xmax: centerX + delta,
-      ymax: centerY + delta,
-      spatialReference: camera.position.spatialReference
-    }
-  };
-}
-
 /**
  * Interpolates between two camera objects, handling tilt based on transition type.
+ * Heading follows the shortest arc and fov is interpolated when both cameras set it.
  */
 function interpolateCamera(derivedCurrent, derivedNext, currentCamera, nextCamera, u, lerp) {
   let tilt;
@@ -99,17 +117,24 @@ function interpolateCamera(derivedCurrent, derivedNext, currentCamera, nextCamer
       y: lerp(derivedCurrent.position.y, derivedNext.position.y, u),
       z: lerp(derivedCurrent.position.z, derivedNext.position.z, u),
     },
-    heading: lerp(derivedCurrent.heading, derivedNext.heading, u),
+    heading: lerpAngle(derivedCurrent.heading, derivedNext.heading, u),
     tilt: tilt,
+    fov: lerp(derivedCurrent.fov, derivedNext.fov, u),
   };
 }
 
 /**
- * Interpolates between two 2D viewpoints.
+ * Interpolates between two 2D viewpoints. With path "flyTo" the view follows
+ * a zoom-out/zoom-in arc instead of lerping extent corners and scale.
  */
-function interpolate2DViewpoint(currentViewpoint, nextViewpoint, u, lerp) {
+function interpolate2DViewpoint(currentViewpoint, nextViewpoint, u, lerp, path) {
   if (!currentViewpoint || !nextViewpoint || !currentViewpoint.targetGeometry || !nextViewpoint.targetGeometry) return null;
 
+  if (path === "flyTo") {
+    const flyToJSON = interpolateFlyTo(currentViewpoint, nextViewpoint, u);
+    if (flyToJSON) return Viewpoint.fromJSON(flyToJSON);
+  }
+
   const viewpointJSON = {
     rotation: lerp(currentViewpoint.rotation, nextViewpoint.rotation, u),
     scale: lerp(currentViewpoint.scale, nextViewpoint.scale, u),
@@ -124,30 +149,34 @@ function interpolate2DViewpoint(currentViewpoint, nextViewpoint, u, lerp) {
 
   return Viewpoint.fromJSON(viewpointJSON);
 }
-function interpolateViewpoint({ slideCurrent, slideNext, progress, view, timeSlider }) {
+function interpolateViewpoint({ slideCurrent, slideNext, progress, easedProgress, view, timeSlider, slides, slideIndex, config }) {
   // Support both 2D viewpoint interpolation and 3D camera interpolation.
-  // Use goTo for programmatic navigation and respect animationConfig.mapFit.
+  // Use goTo for programmatic navigation and respect config.mapFit.
   const currentViewpoint = slideCurrent?.viewpoint;
   const nextViewpoint = slideNext?.viewpoint;
-  const currentCamera = slideCurrent?.viewpoint.camera;
-  const nextCamera = slideNext?.viewpoint.camera;
+  const currentCamera = slideCurrent?.viewpoint?.camera;
+  const nextCamera = slideNext?.viewpoint?.camera;
   const u = progress;
   const lerp = (a, b, t) => (a === undefined || b === undefined) ? (a ?? b) : a + (b - a) * t;
 
   // Detect if the view is 3D (SceneView)
   const is3DView = view && view.type === "3d";
+  const viewSize = { width: view?.width, height: view?.height };
+
+  // Transition path declared on the slide ("linear" by default, "spline" or "flyTo")
+  const path = slides?.[slideIndex]?.viewpoint?.path ?? currentViewpoint?.path;
 
   // If transitioning to a 2D slide in a 3D view, interpolate viewpoints to account for scale
   if (is3DView && nextViewpoint && nextViewpoint.targetGeometry) {
     let derivedCurrentViewpoint = currentViewpoint;
     if (!derivedCurrentViewpoint || !derivedCurrentViewpoint.targetGeometry) {
-      derivedCurrentViewpoint = currentCamera ? deriveViewpointFromCamera(currentCamera) : currentViewpoint;
+      derivedCurrentViewpoint = currentCamera ? cameraToViewpoint(currentCamera, viewSize) : currentViewpoint;
     }
 
-    const targetViewpoint = interpolate2DViewpoint(derivedCurrentViewpoint, nextViewpoint, u, lerp);
+    const targetViewpoint = interpolate2DViewpoint(derivedCurrentViewpoint, nextViewpoint, u, lerp, path);
     if (targetViewpoint) {
       // Respect mapFit for 3D view
-      const target = animationConfig.mapFit === "scale"
+      const target = config.mapFit === "scale"
         ? targetViewpoint
         : {
             target: targetViewpoint.targetGeometry,
@@ -163,11 +192,30 @@ function interpolateViewpoint({ slideCurrent, slideNext, progress, view, timeSli
     }
   }
 
+  // Spline mode: follow a smooth path through the cameras of neighbouring 3D slides
+  if (is3DView && path === "spline") {
+    const pathCamera = sampleCameraPath(slides, slideIndex, easedProgress);
+    if (pathCamera) {
+      view.goTo(Camera.fromJSON(pathCamera), { animate: false }).catch((error) => {
+        // Ignore AbortError - it's expected when rapid scroll events trigger new goTo calls
+        if (error.name !== "AbortError") {
+          console.error("Error setting camera path:", error);
+        }
+      });
+      return;
+    }
+  }
+
   // If we're in a 3D view and not transitioning to 2D, interpolate camera
   if (is3DView) {
     let derivedCurrentCamera = currentCamera;
     let derivedNextCamera = nextCamera;
 
+    // 2D slide into a 3D slide: start from the camera equivalent to the 2D viewpoint
+    if (!derivedCurrentCamera && derivedNextCamera && currentViewpoint?.targetGeometry) {
+      derivedCurrentCamera = viewpointToCamera(currentViewpoint, viewSize, { fov: derivedNextCamera.fov });
+    }
+
     if (derivedCurrentCamera && derivedNextCamera) {
       const interpolatedCamera = interpolateCamera(derivedCurrentCamera, derivedNextCamera, currentCamera, nextCamera, u, lerp);
 
@@ -184,22 +232,24 @@ function interpolateViewpoint({ slideCurrent, slideNext, progress, view, timeSli
   }
 
   // Otherwise handle viewpoint (2D or 3D Viewpoint)
-  const targetViewpoint = interpolate2DViewpoint(currentViewpoint, nextViewpoint, u, lerp);
+  const targetViewpoint = interpolate2DViewpoint(currentViewpoint, nextViewpoint, u, lerp, path);
   if (!targetViewpoint) return;
 
   // Respect mapFit: when 'scale' is set, pass the full Viewpoint so scale+rotation apply.
   // When not using 'scale' we still want the rotation to take effect — pass an
   // object containing the geometry as `target` and include `rotation` so `goTo`
   // can apply orientation while fitting to the geometry/extent.
-  const target = animationConfig.mapFit === "scale"
+  const target = config.mapFit === "scale"
     ? targetViewpoint
     : {
         target: targetViewpoint.targetGeometry,
         rotation: targetViewpoint.rotation,
       };
 
-  // Use goTo for continuous/slider-driven updates
-  view.goTo(target, animationConfig.goToConfig).catch((error) => {
+  // Use goTo for continuous/slider-driven updates. A fly-to path already is the
+  // animation, so apply it directly rather than easing towards each sample.
+  const goToOptions = path === "flyTo" ? { animate: false } : config.goToConfig;
+  view.goTo(target, goToOptions).catch((error) => {
     // Ignore AbortError - it's expected when rapid scroll events trigger new goTo calls
     if (error.name !== "AbortError") {
       console.error("Error setting interpolated viewpoint:", error);
@@ -209,51 +259,28 @@ function interpolateViewpoint({ slideCurrent, slideNext, progress, view, timeSli
 
 /**
  * Interpolates between two slide time ranges based on progress (0–1),
- * snapping the result to the nearest time step and clamping it within bounds.
+ * snapping the result to the slide's calendar steps (see timeUtils.js) with
+ * its snap mode and time zone, and clamping it within bounds.
+ * In time-window mode the window slides across the range with progress.
  * Updates the timeSlider's extent to reflect the interpolated time and stops playback.
  */
-function interpolateTimeSlider({ slideCurrent, slideNext, progress, view, timeSlider }) {
+function interpolateTimeSlider({ slideCurrent, slideNext, progress, view, timeSlider, config }) {
+  if (!timeSlider) return;
   try {
-  const slideTimeData = slideCurrent.timeSlider
-  const start = new Date(slideTimeData.timeSliderStart);
-  const end = new Date(slideTimeData.timeSliderEnd);
-  const step = slideTimeData.timeSliderStep;
-  const unit = slideTimeData.timeSliderUnit;
-  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
-  const interpolatedTime = interpolate(start.getTime(), end.getTime());
-  const unitToMs = {
-    milliseconds: 1,
-    seconds: 1000,
-    minutes: 60 * 1000,
-    hours: 60 * 60 * 1000,
-    days: 24 * 60 * 60 * 1000,
-    weeks: 7 * 24 * 60 * 60 * 1000,
-    months: 30 * 24 * 60 * 60 * 1000, // Approximate
-    years: 365 * 24 * 60 * 60 * 1000, // Approximate
-  };
-
-  const stepMs = step * (unitToMs[unit] || 0);
-  if (stepMs <= 0) return new Date(Math.min(interpolatedTime, end.getTime()));
-
-  // Snap to step
-  const offset = interpolatedTime - start.getTime();
-  const snappedOffset = Math.ceil(offset / stepMs) * stepMs;
-  const snappedTime = start.getTime() + snappedOffset;
-
-  // Clamp to end
-  const clampedTime = Math.min(
-    Math.max(snappedTime, start.getTime()),
-    end.getTime()
-  );
-  timeSlider.timeExtent = {
-    start: null,
-    end: new Date(clampedTime),
-  };
-  timeSlider.stop();
+    const options = getSlideTimeOptions(slideCurrent.timeSlider, config);
+    timeSlider.timeExtent = timeExtentAtProgress(options, progress);
+    timeSlider.stop();
   } catch (error) {
     console.error("Error setting time slider:", error);
   }
+}
 
+/**
+ * Moves the layers of each layerTime entry with a timeline along their own
+ * time range with progress, independently of the view's time slider.
+ */
+function interpolateLayerTime({ slideCurrent, slideNext, progress, view, timeSlider, config }) {
+  slideCurrent.layerTime.forEach((entry) => interpolateLayerTimeline(view, entry, progress, config));
 }
 
 /**
@@ -263,60 +290,113 @@ function interpolateTimeSlider({ slideCurrent, slideNext, progress, view, timeSl
 function interpolateEnvironment({ slideCurrent, slideNext, progress, view, timeSlider }) {
   const currentEnv = slideCurrent.environment;
   const nextEnv = slideNext?.environment;
-  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
-
   if (!currentEnv || !nextEnv) return;
 
-  // Interpolate datetime and cloud cover
-  const startLighting = new Date(currentEnv.lighting.datetime)
-  const endLighting = new Date(nextEnv.lighting.datetime)
-  const interpolatedLighting = interpolate(
-    startLighting.getTime(),
-    endLighting.getTime()
-  );
-
-  // Only interpolate numeric weather properties if both current and next values are present
-  let interpolatedCloudCover = currentEnv.weather.cloudCover;
-  if (
-    currentEnv.weather && nextEnv.weather &&
-    currentEnv.weather.cloudCover !== undefined && nextEnv.weather.cloudCover !== undefined
-  ) {
-    const c0 = Number(currentEnv.weather.cloudCover);
-    const c1 = Number(nextEnv.weather.cloudCover);
-    if (!Number.isNaN(c0) && !Number.isNaN(c1)) {
-      interpolatedCloudCover = interpolate(c0, c1);
-    }
+  try {
+    applyEnvironment(view, interpolateEnvironmentBlocks(currentEnv, nextEnv, progress));
+  } catch (error) {
+    console.error("Error setting interpolated environment:", error);
   }
+}
 
-  let interpolatedPrecipitation = currentEnv.weather.precipitation;
-  if (
-    currentEnv.weather && nextEnv.weather &&
-    currentEnv.weather.precipitation !== undefined && nextEnv.weather.precipitation !== undefined
-  ) {
-    const p0 = Number(currentEnv.weather.precipitation);
-    const p1 = Number(nextEnv.weather.precipitation);
-    if (!Number.isNaN(p0) && !Number.isNaN(p1)) {
-      interpolatedPrecipitation = interpolate(p0, p1);
-    }
+/**
+ * Interpolates layer opacity between the current and next slide's layerOpacity
+ * maps based on progress (0–1). Layers missing from the next slide hold their
+ * current opacity. Layers are made visible once their opacity rises above 0.
+ */
+function interpolateLayerOpacity({ slideCurrent, slideNext, progress, view, timeSlider }) {
+  const currentOpacity = slideCurrent.layerOpacity;
+  const nextOpacity = slideNext?.layerOpacity || {};
+  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
+
+  Object.entries(currentOpacity).forEach(([reference, fromOpacity]) => {
+    const toOpacity = nextOpacity[reference] ?? fromOpacity;
+    const opacity = interpolate(fromOpacity, toOpacity);
+    resolveLayers(view, reference).forEach((mapLayer) => {
+      mapLayer.opacity = opacity;
+      if (opacity > 0 && !mapLayer.visible) mapLayer.visible = true;
+    });
+  });
+}
+
+// Per view: the last scroll value applied per choreography entry, to skip
+// redundant updates. Cleared whenever a slide is applied, since slide changes
+// restyle the layers (see resetScrollProgress).
+const appliedScrollValues = new WeakMap();
+
+/**
+ * Records `value` as applied for a view's entry. Returns false when it was
+ * already the last value applied, so the update can be skipped.
+ */
+function markApplied(view, entry, value) {
+  let applied = appliedScrollValues.get(view);
+  if (!applied) {
+    applied = new Map();
+    appliedScrollValues.set(view, applied);
   }
+  if (applied.get(entry) === value) return false;
+  applied.set(entry, value);
+  return true;
+}
 
-  // Toggle lighting and weather types from next slide
-  const lightingType = nextEnv.lighting.type;
-  const weatherType = nextEnv.weather.type;
+/**
+ * Forgets the scroll values applied to a view, so the next scroll update
+ * re-applies them over the styling a slide change has just set.
+ */
+export function resetScrollProgress(view) {
+  appliedScrollValues.delete(view);
+}
 
-  // Apply to view.environment
-  view.environment = {
-    lighting: {
-      type: lightingType,
-      date: new Date(interpolatedLighting),
-      displayUTCOffset: nextEnv.lighting.displayUTCOffset,
-    },
-    atmosphereEnabled: currentEnv.atmosphereEnabled,
-    starsEnabled: currentEnv.starsEnabled,
-    weather: {
-      type: weatherType,
-      cloudCover: interpolatedCloudCover,
-      precipitation : interpolatedPrecipitation
-    },
-  };
+/**
+ * Interpolates the featureEffect strength of each featureFilter entry towards
+ * the strength the next slide gives the same layer (held when the next slide
+ * does not mention it). Filters and definition expressions are left to the
+ * slide change; only the effect strength follows scroll progress.
+ */
+function interpolateFeatureFilter({ slideCurrent, slideNext, progress, view, timeSlider }) {
+  const nextEntries = slideNext?.featureFilter || [];
+  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
+
+  slideCurrent.featureFilter
+    .filter((entry) => entry.effect)
+    .forEach((entry) => {
+      const layerKey = describeLayerReference(entry.layer);
+      const nextEntry = nextEntries.find((candidate) => describeLayerReference(candidate.layer) === layerKey);
+      const fromStrength = entry.effect.strength ?? 1;
+      const toStrength = nextEntry?.effect ? (nextEntry.effect.strength ?? 1) : fromStrength;
+      const strength = Number(interpolate(fromStrength, toStrength).toFixed(3));
+      if (!markApplied(view, entry, strength)) return;
+      applyFeatureFilter(view, entry, { strength, applyDefinitionExpression: false });
+    });
+}
+
+/**
+ * Interpolates the size, color and opacity visual-variable stops of each
+ * layerRenderer entry towards the renderer the next slide gives the same layer.
+ * Layers the next slide does not mention keep the renderer set on slide change.
+ */
+function interpolateLayerRenderer({ slideCurrent, slideNext, progress, view, timeSlider }) {
+  const nextEntries = slideNext?.layerRenderer || [];
+
+  slideCurrent.layerRenderer.forEach((entry) => {
+    const layerKey = describeLayerReference(entry.layer);
+    const nextEntry = nextEntries.find((candidate) => describeLayerReference(candidate.layer) === layerKey);
+    if (!nextEntry) return;
+
+    const rounded = Number(Number(progress).toFixed(3));
+    if (!markApplied(view, entry, rounded)) return;
+
+    const renderer = interpolateRenderer(entry.renderer, nextEntry.renderer, rounded);
+    resolveLayers(view, entry.layer).forEach((layer) => {
+      layer.renderer = renderer;
+    });
+  });
+}
+
+/**
+ * Restyles the current slide's track towards the next slide's track styling
+ * (e.g. latest observation size) without reloading the layer.
+ */
+function interpolateTrackRenderer({ slideCurrent, slideNext, progress, view, timeSlider }) {
+  interpolateTrackStyle(view, slideCurrent, slideNext, progress);
 }
@@ -22,6 +22,16 @@ import Extent from "@arcgis/core/geometry/Extent.js";
 import Point from "@arcgis/core/geometry/Point.js";
 
 import { animationConfig } from "./configAnimation.js";
+import { resolveLayers, resolveLayerList } from "./layerUtils.js";
+import { applyFeatureFilter } from "./featureFilter.js";
+import { applyTrackRenderer } from "./trackRenderer.js";
+import { getSlideTimeOptions, getTimeStops, timeExtentAtProgress } from "./timeUtils.js";
+import { playTimeSlider, stopTimeSlider } from "./timeSliderPlayback.js";
+import { applyLayerTime } from "./layerTime.js";
+import { applyEnvironment } from "./environment.js";
+import { whenSlideLayersReady } from "./layerReadiness.js";
+import { resetScrollProgress } from "./animateOnScroll.js";
+import { getChoreographyPlugin } from "./plugins.js";
 
 // Logger utility
 import { log } from '../src/logger.js';
@@ -33,41 +43,82 @@ import { log } from '../src/logger.js';
 const choreographyHandlers = {
   viewpoint: toggleViewpoint,
   timeSlider: toggleTimeSlider,
+  layerTime: toggleLayerTime,
   layerVisibility: toggleLayerVisibility,
+  layerOpacity: toggleLayerOpacity,
+  featureFilter: toggleFeatureFilter,
+  layerRenderer: toggleLayerRenderer,
   trackRenderer: toggleTrackRenderer,
   environment: toggleEnvironment
 };
 
+/**
+ * Returns the slide handler of a key: a built-in one, or the onSlide hook of
+ * a registered choreography plugin (see plugins.js).
+ */
+function getHandler(key) {
+  return choreographyHandlers[key] ?? getChoreographyPlugin(key)?.onSlide;
+}
+
+function isGated(key) {
+  return LAYER_GATED_KEYS.has(key) || !!getChoreographyPlugin(key)?.gated;
+}
+
 /**
  * Executes animation handlers for each key in slideData using shared context.
  * Skips keys listed in NON_EMBED_EXCLUDE_KEYS when in embedded mode.
+ * Keys in LAYER_GATED_KEYS (and gated plugins) run once the slide's layers are
+ * loaded and drawn (see layerReadiness.js), after every other handler has
+ * finished, so the camera and time slider never start before their layers exist.
+ * `slides` and `slideIndex` give handlers the neighbouring slides, `config`
+ * the animator's configuration (animationConfig by default) and `navigate`
+ * the animator's way to move to another slide.
  * Logs each triggered animation and catches any handler errors.
+ * Returns a promise resolving once the gated handlers have run.
  */
 const NON_EMBED_EXCLUDE_KEYS = new Set(["viewpoint"]);
+const LAYER_GATED_KEYS = new Set(["viewpoint", "timeSlider"]);
 
-export function slideAnimation(slideData, view, timeSlider, embedded) {
-  const context = { slideData, view, timeSlider, embedded };
+// Per view: the latest slide applied, so a slow slide does not start after a newer one
+const slideTokens = new WeakMap();
 
-  Object.entries(slideData).forEach(([key, value]) => {
-    const handler = choreographyHandlers[key];
-    if (!handler) return;
+export async function slideAnimation(slideData, view, timeSlider, embedded, { slides, slideIndex, config = animationConfig, navigate } = {}) {
+  const slideNext = slides && slideIndex !== undefined ? slides[slideIndex + 1] ?? null : null;
+  const context = { slideData, slideNext, slides, slideIndex, view, timeSlider, embedded, progress: 0, config, navigate };
+  const token = (slideTokens.get(view) ?? 0) + 1;
+  slideTokens.set(view, token);
+  // The handlers below restyle the layers, so scroll updates must re-apply
+  resetScrollProgress(view);
 
+  const entries = Object.keys(slideData)
+    .filter((key) => getHandler(key))
     // Skip excluded keys when not embedded
-    if (embedded && NON_EMBED_EXCLUDE_KEYS.has(key)) return;
+    .filter((key) => !(embedded && NON_EMBED_EXCLUDE_KEYS.has(key)));
 
+  function run(key) {
     try {
-      handler(context);
+      return getHandler(key)(context);
     } catch (error) {
       console.error(`Error processing '${key}':`, error);
     }
-  });
+  }
+
+  // Layer changes first; asynchronous ones (track renderer) are awaited before the gate
+  const pending = entries.filter((key) => !isGated(key)).map(run);
+  const gated = entries.filter(isGated);
+  if (!gated.length) return;
+
+  await Promise.allSettled(pending);
+  await whenSlideLayersReady(view, slideData, config.layerReadyTimeout);
+  if (slideTokens.get(view) !== token) return;
+  gated.forEach(run);
 }
 
 /**
  * Sets the map view to the viewpoint defined in slideData,
  * animating the transition over 1 second. Logs errors if the transition fails.
  */
-function toggleViewpoint({ slideData, view, timeSlider, embedded }) {
+function toggleViewpoint({ slideData, view, timeSlider, embedded, config }) {
   log("Triggering slide viewpoint animation");
   // Prefer camera when running in a 3D SceneView and camera data is available.
   const viewpointData = slideData.viewpoint;
@@ -76,7 +127,7 @@ function toggleViewpoint({ slideData, view, timeSlider, embedded }) {
   if (cameraData) {
     try {
       const targetCamera = Camera.fromJSON(cameraData);
-      view.goTo(targetCamera, animationConfig.goToConfig).catch((error) => {
+      view.goTo(targetCamera, config.goToConfig).catch((error) => {
           console.error("Error setting camera from viewpoint data:", error);
         });
       return;
@@ -93,7 +144,7 @@ function toggleViewpoint({ slideData, view, timeSlider, embedded }) {
       const targetViewpoint = Viewpoint.fromJSON(viewpointData);
       const targetGeometry = targetViewpoint.targetGeometry;
       let target;
-      if (animationConfig.mapFit === "scale") {
+      if (config.mapFit === "scale") {
         const centerX = (targetGeometry.xmin + targetGeometry.xmax) / 2;
         const centerY = (targetGeometry.ymin + targetGeometry.ymax) / 2;
         target = {
@@ -104,7 +155,7 @@ function toggleViewpoint({ slideData, view, timeSlider, embedded }) {
           }),
           scale: targetViewpoint.scale
         };
-      } else if (animationConfig.mapFit === "extent") {
+      } else if (config.mapFit === "extent") {
         target = new Extent({
           xmin: targetGeometry.xmin,
           ymin: targetGeometry.ymin,
@@ -115,7 +166,7 @@ function toggleViewpoint({ slideData, view, timeSlider, embedded }) {
       } else {
         target = targetViewpoint;
       }
-      view.goTo(target, animationConfig.goToConfig).catch((error) => {
+      view.goTo(target, config.goToConfig).catch((error) => {
           console.error("Error setting viewpoint:", error);
         });
       return;
@@ -127,40 +178,44 @@ function toggleViewpoint({ slideData, view, timeSlider, embedded }) {
 
 /**
  * Update the timeSlider using configuration from choreographyData.
- * Sets the full time extent, interval stops, and starting frame.
- * Automatically starts playback if the slider is ready and not in embedded mode.
+ * Sets the mode, full time extent, stops, and starting frame.
+ * Automatically starts playback (with the slide's play rate, loop and finish
+ * action) if the slider is ready and not in embedded mode.
  */
-function toggleTimeSlider({ slideData, view, timeSlider, embedded }) {
+function toggleTimeSlider({ slideData, slideIndex, view, timeSlider, embedded, config, navigate }) {
   if (
     timeSlider &&
     slideData.timeSlider &&
     slideData.timeSlider.timeSliderStart &&
     slideData.timeSlider.timeSliderEnd
   ) {
-    const timeStart = slideData.timeSlider.timeSliderStart;
-    const timeEnd = slideData.timeSlider.timeSliderEnd;
-    const timeUnit = slideData.timeSlider.timeSliderUnit;
-    const timeStep = slideData.timeSlider.timeSliderStep;
-    const startFrame = new Date(timeStart);
-    const endFrame = new Date(timeEnd);
-
-    // Configure time extent
-    timeSlider.fullTimeExtent = { start: startFrame, end: endFrame };
-    timeSlider.timeExtent = { start: null, end: startFrame };
-
-    // Set the time slider interval based on choreography
-    timeSlider.stops = {
-      interval: {
-        value: timeStep,
-        unit: timeUnit,
-      },
-    };
+    const slideTime = slideData.timeSlider;
+    const options = getSlideTimeOptions(slideTime, config);
+
+    // Configure mode and time extent; labels use the same zone as the steps ("system" is the SDK's local zone)
+    timeSlider.mode = options.mode;
+    timeSlider.timeZone = options.timeZone === "local" ? "system" : options.timeZone;
+    timeSlider.fullTimeExtent = { start: options.start, end: options.end };
+    // Same stepping and snapping as the scroll path, so both start on the same frame
+    timeSlider.timeExtent = timeExtentAtProgress(options, 0);
+
+    // Use calendar stops computed in the story's time zone; very long ranges fall back to an interval
+    const dates = getTimeStops(options.origin, options.end, options.step, options.unit, options.timeZone);
+    timeSlider.stops = dates
+      ? { dates }
+      : { interval: { value: options.step, unit: options.unit } };
 
     // Start the time slider if not already playing and if outside script embed story
     if (timeSlider.state === "ready" && !embedded) {
-      timeSlider.play();
+      playTimeSlider(timeSlider, slideData, {
+        playRate: slideTime.timeSliderPlayRate ?? config.timePlayRate,
+        loop: slideTime.timeSliderLoop ?? false,
+        onFinish: slideTime.timeSliderOnFinish ?? "stop",
+        slideIndex,
+        navigate
+      });
     } else if (timeSlider.state === "ready" && embedded) {
-      timeSlider.stop();
+      stopTimeSlider(timeSlider);
     } else if (!timeSlider) {
       log("No timeSlider component found.");
     } else {
@@ -169,58 +224,23 @@ function toggleTimeSlider({ slideData, view, timeSlider, embedded }) {
   }
 }
 
+/**
+ * Applies each layerTime entry of the slide, so layers can leave the view's
+ * time slider (useViewTime: false) and run on a fixed extent or their own
+ * timeline, or be shifted in time with a timeOffset.
+ */
+function toggleLayerTime({ slideData, view, timeSlider, embedded, config }) {
+  slideData.layerTime.forEach((entry) => applyLayerTime(view, entry, config));
+}
+
 /**
  * Update the environment using configuration defined in choreographyData.
- * Sets the weather, lighting, atmosphere, and stars.
+ * Sets lighting (date or sun position, shadows), weather, atmosphere, stars,
+ * background and ground (opacity, surface colour, underground navigation).
  */
 function toggleEnvironment({slideData, view, timeSlider, embedded }) {
-  const slideEnv = slideData.environment;
-  if (!slideEnv) return;
-
-  // Only set environment on views that support it (SceneView)
-  if (!view || typeof view.environment === 'undefined') return;
-
-  // Read current environment to allow partial updates
-  const currentEnv = view.environment || {};
-
-  const env = {};
-
-  // Lighting
-  if (slideEnv.lighting) {
-    const lighting = {};
-    if (slideEnv.lighting.type !== undefined) lighting.type = slideEnv.lighting.type;
-    if (slideEnv.lighting.datetime !== undefined) {
-      const d = new Date(slideEnv.lighting.datetime);
-      if (!Number.isNaN(d.getTime())) lighting.datetime = d;
-    }
-    if (slideEnv.lighting.displayUTCOffset !== undefined) lighting.displayUTCOffset = slideEnv.lighting.displayUTCOffset;
-    if (Object.keys(lighting).length) env.lighting = lighting;
-  }
-
-  // Atmosphere and stars
-  if (slideEnv.atmosphereEnabled !== undefined) env.atmosphereEnabled = !!slideEnv.atmosphereEnabled;
-  if (slideEnv.starsEnabled !== undefined) env.starsEnabled = !!slideEnv.starsEnabled;
-
-  // Weather
-  if (slideEnv.weather) {
-    const weather = {};
-    if (slideEnv.weather.type !== undefined) weather.type = slideEnv.weather.type;
-    if (slideEnv.weather.cloudCover !== undefined) {
-      const cc = Number(slideEnv.weather.cloudCover);
-      if (!Number.isNaN(cc)) weather.cloudCover = cc;
-    }
-    if (slideEnv.weather.precipitation !== undefined) {
-      const p = Number(slideEnv.weather.precipitation);
-      if (!Number.isNaN(p)) weather.precipitation = p;
-    }
-    if (Object.keys(weather).length) env.weather = weather;
-  }
-
-  // Merge with current environment so unspecified properties are preserved
-  const newEnv = Object.assign({}, currentEnv, env);
-
   try {
-    view.environment = newEnv;
+    applyEnvironment(view, slideData.environment);
   } catch (err) {
     console.error('Failed to apply environment to view:', err);
   }
@@ -228,20 +248,16 @@ function toggleEnvironment({slideData, view, timeSlider, embedded }) {
 
 /**
  * Updates map layer visibility based on slideData configuration.
- * Turns on layers listed in layersOn and turns off layers listed in layersOff
- * by matching layer titles in the view.
+ * Turns on layers listed in layersOn and turns off layers listed in layersOff.
+ * Entries are layer references (title, id, pattern or group path, see layerUtils.js)
+ * resolved through every layer of the map, including group and basemap layers.
  */
 function toggleLayerVisibility({ slideData, view, timeSlider, embedded }) {
-  const mapLayers = view.map.layers;
-  function setLayerVisibility(layerNames, visibility) {
-    if (layerNames && layerNames.length > 0) {
-      mapLayers.forEach((mapLayer) => {
-        if (layerNames.includes(mapLayer.title)) {
-          mapLayer.visible = visibility; // Set visibility based on the argument
-          log(`Layer '${mapLayer.title}' visibility set to ${visibility}`);
-        }
-      });
-    }
+  function setLayerVisibility(layerReferences, visibility) {
+    resolveLayerList(view, layerReferences).forEach((mapLayer) => {
+      mapLayer.visible = visibility; // Set visibility based on the argument
+      log(`Layer '${mapLayer.title}' visibility set to ${visibility}`);
+    });
   }
   const layersOn = slideData.layerVisibility.layersOn;
   const layersOff = slideData.layerVisibility.layersOff;
@@ -251,57 +267,49 @@ function toggleLayerVisibility({ slideData, view, timeSlider, embedded }) {
 }
 
 /**
- * Reconfigures and reapplies a track renderer to its corresponding map layer
- * using parameters from slideData and timeSlider. Performs a hard reset by
- * removing and re-adding the layer, then updates its timeInfo and trackInfo.
- * Ensures the layer is visible.
+ * Sets layer opacity from the slide's layerOpacity map of layer reference to
+ * opacity (0–1). Layers given a non-zero opacity are made visible so they can
+ * be faded in without also listing them in layersOn.
+ */
+function toggleLayerOpacity({ slideData, view, timeSlider, embedded }) {
+  Object.entries(slideData.layerOpacity).forEach(([reference, opacity]) => {
+    resolveLayers(view, reference).forEach((mapLayer) => {
+      mapLayer.opacity = opacity;
+      if (opacity > 0) mapLayer.visible = true;
+      log(`Layer '${mapLayer.title}' opacity set to ${opacity}`);
+    });
+  });
+}
+
+/**
+ * Applies each featureFilter entry of the slide: definitionExpression,
+ * client-side layerView filter and/or featureEffect at the entry's strength.
+ */
+function toggleFeatureFilter({ slideData, view, timeSlider, embedded }) {
+  slideData.featureFilter.forEach((entry) => applyFeatureFilter(view, entry));
+}
+
+/**
+ * Applies the renderer of each layerRenderer entry to the layers it references.
+ * Renderers use the SDK autocast format and are cloned so the choreography
+ * data is never mutated by the layer.
+ */
+function toggleLayerRenderer({ slideData, view, timeSlider, embedded }) {
+  slideData.layerRenderer.forEach((entry) => {
+    resolveLayers(view, entry.layer).forEach((layer) => {
+      layer.renderer = structuredClone(entry.renderer);
+      log(`Layer '${layer.title}' renderer updated.`);
+    });
+  });
+}
+
+/**
+ * Applies the slide's track renderer to its layer in place (see trackRenderer.js):
+ * timeInfo and trackInfo are swapped without removing the layer, unchanged
+ * configurations are skipped and each slide's configuration is cached.
  */
 function toggleTrackRenderer({ slideData, view, timeSlider, embedded }) {
-  const mapLayers = view.map.layers;
-  const trackTimeConfig = slideData.timeSlider;
-  async function applyTrackRenderer(trackRenderer, timeSlider) {
-    try {
-      const trackLayerField = trackRenderer.trackFieldName;
-      const trackTimeSliderUnit = timeSlider.timeSliderUnit;
-      const trackTimeSliderStep = timeSlider.timeSliderStep;
-      let trackLayer = mapLayers.find(
-        (layer) => layer.title === trackRenderer.trackLayerName
-      );
-
-      if (trackLayer) {
-        const layerIndex = view.map.layers.indexOf(trackLayer);
-
-        try {
-          view.map.remove(trackLayer);
-        } catch (error) {
-          console.error("Failed to remove track layer:", error);
-        }
-
-        trackLayer = trackLayer.clone();
-
-        try {
-          view.map.add(trackLayer, layerIndex);
-        } catch (error) {
-          console.error("Failed to add track layer:", error);
-        }
-        await trackLayer.when(); // Wait for the layer to load
-        const trackStartField = trackLayer.timeInfo.startField;
-        trackLayer.visible = true; // Make the layer visible
-        trackLayer.timeInfo = {
-          startField: trackStartField,
-          trackIdField: trackLayerField,
-          interval: {
-            unit: trackTimeSliderUnit,
-            value: trackTimeSliderStep,
-          },
-        };
-        // Apply renderer from choreography data
-        trackLayer.trackInfo = trackRenderer.trackInfo;
-        log("Track renderer applied.", trackLayer.trackInfo);
-      }
-    } catch (error) {
-      console.error("Failed to set track Renderer:", error);
-    }
-  }
-  applyTrackRenderer(slideData.trackRenderer, trackTimeConfig);
-}
\ No newline at end of file
+  return applyTrackRenderer(view, slideData).catch((error) => {
+    console.error("Failed to set track Renderer:", error);
+  });
+}
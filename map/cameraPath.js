@@ -0,0 +1,151 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Field of view used by SceneView when a camera does not specify one
+const DEFAULT_FOV = 55;
+
+/**
+ * Signed difference from angle a to angle b in degrees, taking the shortest
+ * way round the circle (e.g. 350 -> 10 is +20, not -340).
+ */
+export function shortestAngleDelta(a, b) {
+  return ((((b - a) % 360) + 540) % 360) - 180;
+}
+
+/**
+ * Interpolates between two angles in degrees along the shortest arc.
+ */
+export function lerpAngle(a, b, t) {
+  if (a === undefined || b === undefined) return a ?? b;
+  return normalizeAngle(a + shortestAngleDelta(a, b) * t);
+}
+
+function normalizeAngle(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Returns the camera block of a slide or keyframe, if any.
+ */
+function getCamera(entry) {
+  return entry?.viewpoint?.camera || entry?.camera || null;
+}
+
+/**
+ * Collects the camera stops of the contiguous run of 3D slides around `index`.
+ * Each stop is { t, camera } where t is the slide index plus the keyframe's
+ * `at`, so one panel spans one unit of t; keyframes are taken in order of
+ * `at`. The run stops at the first slide without a camera in either direction.
+ */
+export function collectCameraStops(slides, index) {
+  if (!Array.isArray(slides) || !getCamera(slides[index])) return [];
+
+  let first = index;
+  while (first > 0 && getCamera(slides[first - 1])) first--;
+  let last = index;
+  while (last < slides.length - 1 && getCamera(slides[last + 1])) last++;
+
+  const stops = [];
+  for (let i = first; i <= last; i++) {
+    const slide = slides[i];
+    stops.push({ t: i, camera: getCamera(slide) });
+    (slide.keyframes || [])
+      .filter((keyframe) => getCamera(keyframe) && keyframe.at > 0 && keyframe.at < 1)
+      .sort((a, b) => a.at - b.at)
+      .forEach((keyframe) => stops.push({ t: i + keyframe.at, camera: getCamera(keyframe) }));
+  }
+  return stops;
+}
+
+/**
+ * Converts camera stops into numeric channels. Headings are unwrapped so each
+ * consecutive pair differs by the shortest arc, which keeps the spline from
+ * spinning the long way round between 350° and 10°.
+ */
+function toChannels(stops) {
+  let heading = null;
+  return stops.map(({ camera }) => {
+    const h = camera.heading ?? 0;
+    heading = heading === null ? h : heading + shortestAngleDelta(heading, h);
+    return {
+      x: camera.position.x,
+      y: camera.position.y,
+      z: camera.position.z ?? 0,
+      heading,
+      tilt: camera.tilt ?? 0,
+      fov: camera.fov ?? DEFAULT_FOV
+    };
+  });
+}
+
+/**
+ * Tangent of a channel at stop k, scaled to units per t. Interior stops use the
+ * non-uniform Catmull-Rom difference of their neighbours so velocity matches on
+ * both sides of every stop; end stops use a one-sided difference.
+ */
+function tangent(times, values, k) {
+  const prev = Math.max(0, k - 1);
+  const next = Math.min(values.length - 1, k + 1);
+  const dt = times[next] - times[prev];
+  return dt > 0 ? (values[next] - values[prev]) / dt : 0;
+}
+
+function hermite(p0, p1, m0, m1, h, s) {
+  const s2 = s * s;
+  const s3 = s2 * s;
+  return (2 * s3 - 3 * s2 + 1) * p0 +
+    (s3 - 2 * s2 + s) * h * m0 +
+    (-2 * s3 + 3 * s2) * p1 +
+    (s3 - s2) * h * m1;
+}
+
+/**
+ * Samples the spline camera path at slide `index` and panel `progress` (0–1).
+ * Returns camera JSON, or null when the slide and the next pose are not both
+ * part of the same run of 3D slides.
+ */
+export function sampleCameraPath(slides, index, progress) {
+  const stops = collectCameraStops(slides, index);
+  if (stops.length < 2) return null;
+
+  const t = index + Math.max(0, Math.min(1, Number(progress)));
+  const k = stops.findIndex((stop, i) => i < stops.length - 1 && t >= stop.t && t <= stops[i + 1].t);
+  if (k === -1) return null;
+
+  const times = stops.map((stop) => stop.t);
+  const channels = toChannels(stops);
+  const h = times[k + 1] - times[k];
+  const s = h > 0 ? (t - times[k]) / h : 1;
+
+  const sample = (channel) => {
+    const values = channels.map((c) => c[channel]);
+    return hermite(values[k], values[k + 1], tangent(times, values, k), tangent(times, values, k + 1), h, s);
+  };
+
+  return {
+    position: {
+      spatialReference: stops[k].camera.position.spatialReference || stops[k + 1].camera.position.spatialReference,
+      x: sample("x"),
+      y: sample("y"),
+      z: sample("z")
+    },
+    heading: normalizeAngle(sample("heading")),
+    tilt: Math.max(0, Math.min(180, sample("tilt"))),
+    fov: Math.max(1, Math.min(170, sample("fov")))
+  };
+}
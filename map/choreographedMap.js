@@ -0,0 +1,146 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// <choreographed-map> custom element: a StoryMapAnimator configured from
+// attributes, with its views created inside the element.
+//
+//   <choreographed-map
+//     choreography="./mapChoreography.json"
+//     map-item-id="1fc0bb05f53847d98f2d3deb75ff7418"
+//     scene-item-id="71315cdaeb564b79bfd7b8250ff5d39a"
+//     map-fit="scale"
+//     options='{ "goToConfig": { "animate": true, "duration": 1500 } }'>
+//   </choreographed-map>
+//
+// Unset attributes fall back to configAnimation.js. The animator starts when
+// the element is connected and is destroyed when it is removed from the page
+// (moving the element keeps it).
+
+import { animationConfig } from "./configAnimation.js";
+import { StoryMapAnimator } from "./storyMapAnimator.js";
+
+export const TAG_NAME = "choreographed-map";
+
+// Attributes copied into the config as strings, as configAnimation.js holds them
+const STRING_ATTRIBUTES = {
+  "choreography": "mapChoreography",
+  "zoom": "zoom",
+  "center": "center",
+  "time-play-rate": "timePlayRate",
+  "time-zone": "timeZone",
+  "time-snap": "timeSnap",
+  "map-fit": "mapFit"
+};
+const BOOLEAN_ATTRIBUTES = {
+  "disable-map-nav": "disableMapNav",
+  "debug-mode": "debugMode",
+  "hash-navigation": "hashNavigation",
+  "story-messages": "storyMessages"
+};
+
+let instanceCount = 0;
+
+function parseJSONAttribute(element, name) {
+  const value = element.getAttribute(name);
+  if (value === null) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`<${TAG_NAME}> attribute '${name}' is not valid JSON:`, error);
+    return undefined;
+  }
+}
+
+export class ChoreographedMap extends HTMLElement {
+  constructor() {
+    super();
+    this.animator = null;
+    this.instanceId = null;
+  }
+
+  /**
+   * Builds the animator configuration from configAnimation.js and the
+   * element's attributes. `maps` (JSON) replaces the configured maps;
+   * `map-item-id` and `scene-item-id` replace the item of the first web map
+   * and web scene. Containers get ids unique to this element. The page-wide
+   * location hash and story messages only drive elements that opt in.
+   */
+  buildConfig() {
+    const config = {
+      ...structuredClone(animationConfig),
+      hashNavigation: false,
+      storyMessages: false,
+      ...parseJSONAttribute(this, "options")
+    };
+    config.maps = parseJSONAttribute(this, "maps") ?? config.maps;
+
+    const itemIds = { webmap: this.getAttribute("map-item-id"), webscene: this.getAttribute("scene-item-id") };
+    Object.entries(itemIds).forEach(([type, itemId]) => {
+      const map = config.maps.find((candidate) => candidate.type === type);
+      if (itemId && map) map.itemId = itemId;
+    });
+
+    Object.entries(STRING_ATTRIBUTES).forEach(([attribute, key]) => {
+      if (this.hasAttribute(attribute)) config[key] = this.getAttribute(attribute);
+    });
+    Object.entries(BOOLEAN_ATTRIBUTES).forEach(([attribute, key]) => {
+      if (this.hasAttribute(attribute)) config[key] = this.getAttribute(attribute) !== "false";
+    });
+
+    config.maps = config.maps.map((map, index) => ({
+      ...map,
+      container: `${this.instanceId}-${map.container ?? `view-${index}`}`
+    }));
+    return config;
+  }
+
+  connectedCallback() {
+    if (this.animator) return;
+    // Attributes are only readable once the element is connected
+    this.instanceId ??= this.id || `${TAG_NAME}-${++instanceCount}`;
+    // Focusable, so keyboard navigation reaches this element only
+    if (!this.hasAttribute("tabindex")) this.tabIndex = 0;
+    this.animator = new StoryMapAnimator(this, this.buildConfig());
+    this.animator.init()
+      .then(() => {
+        if (this.animator) this.dispatchEvent(new CustomEvent("animatorready", { detail: { animator: this.animator } }));
+      })
+      .catch(() => {
+        // Reported by the animator (validation errors are shown in the element)
+      });
+  }
+
+  disconnectedCallback() {
+    // Moving the element disconnects and reconnects it; only tear down when it stays out
+    queueMicrotask(() => {
+      if (!this.isConnected) this.destroy();
+    });
+  }
+
+  /**
+   * Stops the animator, removing its listeners, watchers and views.
+   */
+  destroy() {
+    if (!this.animator) return;
+    this.animator.destroy();
+    this.animator = null;
+    this.replaceChildren();
+  }
+}
+
+if (!customElements.get(TAG_NAME)) customElements.define(TAG_NAME, ChoreographedMap);
@@ -19,15 +19,24 @@ limitations under the License.
 // config object to hold all variables
 export const animationConfig = {
   maps: [
-    { type: "webmap", itemId: "1fc0bb05f53847d98f2d3deb75ff7418", container: "mapContainer" },
-    { type: "webscene", itemId: "71315cdaeb564b79bfd7b8250ff5d39a", container: "sceneContainer" }
+    // memoryEstimate: MB a view is counted as against preload.memoryBudget until the SDK reports its use
+    { type: "webmap", itemId: "1fc0bb05f53847d98f2d3deb75ff7418", container: "mapContainer", memoryEstimate: 200 },
+    { type: "webscene", itemId: "71315cdaeb564b79bfd7b8250ff5d39a", container: "sceneContainer", memoryEstimate: 600 }
   ],
+  preload: { lookahead: 3, memoryBudget: 1024 }, // Slides ahead to warm views for, and MB all live views may use
+  layerReadyTimeout: 5000, // Longest wait (ms) for a slide's layers before its camera move and time slider start
   zoom: "4",
   center: "-0.551002, 53.307870",
   timePlayRate: "250",
+  timeZone: "UTC", // "UTC", "local" or an IANA zone; calendar steps follow this zone
+  timeSnap: "ceil", // How scrolled time snaps to slider stops: floor, round, ceil or none
   debugMode: false,
   disableMapNav: true,
   mapFit: "extent",
   mapChoreography: "../mapChoreography.json",
-  goToConfig: {animate: true, duration: 1000}
+  goToConfig: {animate: true, duration: 1000},
+  keyboardNavigation: true, // PageDown/PageUp move to the next/previous slide
+  hashNavigation: true, // The location hash (#<slide>) selects the slide
+  storyMessages: true, // The story host drives the map through postMessage
+  allowedOrigins: ["https://esri.github.io", "https://storymaps.arcgis.com"] // Story hosts allowed to drive the map, besides the map's own origin
 };
\ No newline at end of file
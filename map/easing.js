@@ -0,0 +1,162 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Unresolved curves already reported, so scrolling warns once per curve
+const warned = new Set();
+
+/**
+ * Builds an easing function from cubic-bezier control points, matching the
+ * CSS cubic-bezier() timing function. Solves x(t) = progress with
+ * Newton-Raphson and falls back to bisection when the slope is too flat.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+  const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+  const sampleDerivativeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+  function solveX(x) {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) return t;
+      const slope = sampleDerivativeX(t);
+      if (Math.abs(slope) < 1e-6) break;
+      t -= error / slope;
+    }
+
+    let lower = 0;
+    let upper = 1;
+    t = x;
+    while (lower < upper) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < 1e-6) return t;
+      if (x > value) lower = t;
+      else upper = t;
+      t = (lower + upper) / 2;
+      if (upper - lower < 1e-7) break;
+    }
+    return t;
+  }
+
+  return (progress) => {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+    return sampleY(solveX(progress));
+  };
+}
+
+/**
+ * Named easing curves available to the choreography. The CSS keywords use
+ * their CSS cubic-bezier definitions; the rest are the usual polynomial/sine curves.
+ */
+export const EASING_CURVES = {
+  "linear": (t) => t,
+  "ease": cubicBezier(0.25, 0.1, 0.25, 1),
+  "ease-in": cubicBezier(0.42, 0, 1, 1),
+  "ease-out": cubicBezier(0, 0, 0.58, 1),
+  "ease-in-out": cubicBezier(0.42, 0, 0.58, 1),
+  "easeInQuad": (t) => t * t,
+  "easeOutQuad": (t) => t * (2 - t),
+  "easeInOutQuad": (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  "easeInCubic": (t) => t * t * t,
+  "easeOutCubic": (t) => 1 - Math.pow(1 - t, 3),
+  "easeInOutCubic": (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  "easeInSine": (t) => 1 - Math.cos((t * Math.PI) / 2),
+  "easeOutSine": (t) => Math.sin((t * Math.PI) / 2),
+  "easeInOutSine": (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+const CUBIC_BEZIER = /^cubic-bezier\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/;
+
+/**
+ * Parses "cubic-bezier(x1, y1, x2, y2)" or an [x1, y1, x2, y2] array into
+ * control points. Returns null when the points are missing or x1/x2 fall
+ * outside 0–1 (the curve would not be a function of progress).
+ */
+export function parseCubicBezier(curve) {
+  let points = null;
+  if (Array.isArray(curve)) {
+    points = curve;
+  } else if (typeof curve === "string") {
+    const match = curve.trim().match(CUBIC_BEZIER);
+    if (match) points = match.slice(1).map(Number);
+  }
+  if (!points || points.length !== 4 || points.some((p) => typeof p !== "number" || !Number.isFinite(p))) return null;
+  if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) return null;
+  return points;
+}
+
+/**
+ * Resolves a curve declaration (name, cubic-bezier string or control point array)
+ * into an easing function. Returns null for unknown curves.
+ */
+export function resolveEasing(curve) {
+  if (curve === undefined || curve === null) return EASING_CURVES.linear;
+  if (typeof curve === "string" && EASING_CURVES[curve]) return EASING_CURVES[curve];
+  const points = parseCubicBezier(curve);
+  return points ? cubicBezier(...points) : null;
+}
+
+/**
+ * Normalises an easing entry from the choreography. Entries can be a bare curve
+ * ("easeOutCubic", "cubic-bezier(...)", [x1, y1, x2, y2]) or an object with
+ * optional `curve` and `range` ([start, end] sub-range of the panel progress).
+ */
+export function normalizeEasingSpec(spec) {
+  if (spec === undefined || spec === null) return { curve: undefined, range: [0, 1] };
+  if (typeof spec === "string" || Array.isArray(spec)) return { curve: spec, range: [0, 1] };
+  return { curve: spec.curve, range: spec.range || [0, 1] };
+}
+
+/**
+ * Remaps raw panel progress (0–1) into the progress seen by one property:
+ * values before range[0] clamp to 0, after range[1] clamp to 1, and the
+ * window in between is stretched to 0–1 and passed through the curve.
+ * Unknown curves fall back to linear with a one-time warning.
+ */
+export function easeProgress(progress, spec) {
+  const { curve, range } = normalizeEasingSpec(spec);
+  const [start, end] = range;
+  const p = Number(progress);
+  if (Number.isNaN(p)) return 0;
+
+  let windowed;
+  if (end <= start) windowed = p >= end ? 1 : 0;
+  else windowed = Math.max(0, Math.min(1, (p - start) / (end - start)));
+
+  const ease = resolveEasing(curve);
+  if (!ease) {
+    warnOnce(curve, `Unknown easing curve ${JSON.stringify(curve)}; using linear`);
+    return EASING_CURVES.linear(windowed);
+  }
+  return ease(windowed);
+}
+
+function warnOnce(curve, message) {
+  const key = JSON.stringify(curve);
+  if (warned.has(key)) return;
+  warned.add(key);
+  console.warn(message);
+}
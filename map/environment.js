@@ -0,0 +1,268 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// SceneView environment choreography shared by the slide and scroll paths.
+// A slide's `environment` block is written in choreography terms
+// (lighting.datetime, lighting.sun, ground, background) and applied to
+// view.environment and view.map.ground here, so both paths write the same
+// SDK properties.
+
+import { lerpAngle } from "./cameraPath.js";
+import { parseColor } from "./rendererUtils.js";
+
+export const WEATHER_TYPES = ["sunny", "cloudy", "rainy", "snowy", "foggy"];
+// Numeric weather properties and the weather types that use them
+export const WEATHER_NUMBERS = {
+  cloudCover: ["sunny", "cloudy", "rainy", "snowy"],
+  precipitation: ["rainy", "snowy"],
+  fogStrength: ["foggy"]
+};
+
+const DEG = Math.PI / 180;
+const MAX_DECLINATION = 23.44;
+const warned = new Set();
+
+// --- Sun position ---
+// NOAA's low-precision solar position equations (accurate to well under a degree).
+
+function solarTerms(dayOfYear, hourUTC) {
+  const gamma = (2 * Math.PI / 365) * (dayOfYear - 1 + (hourUTC - 12) / 24);
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+  return { equationOfTime, declination };
+}
+
+function dayOfYear(date) {
+  return Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 864e5) + 1;
+}
+
+/**
+ * Sun azimuth (degrees clockwise from north) and altitude (degrees above the
+ * horizon) at a date and location.
+ */
+export function sunPositionAt(date, latitude, longitude) {
+  const hourUTC = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+  const { equationOfTime, declination } = solarTerms(dayOfYear(date), hourUTC);
+  const trueSolarMinutes = hourUTC * 60 + equationOfTime + 4 * longitude;
+  const hourAngle = (trueSolarMinutes / 4 - 180) * DEG;
+  const lat = latitude * DEG;
+
+  const sinAltitude = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+  const altitude = Math.asin(Math.max(-1, Math.min(1, sinAltitude)));
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle) * Math.cos(declination),
+    Math.cos(lat) * Math.sin(declination) - Math.sin(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  return { azimuth: ((azimuth / DEG) + 360) % 360, altitude: altitude / DEG };
+}
+
+/**
+ * Date at which the sun stands at { azimuth, altitude } seen from a location,
+ * since the SDK positions the sun from lighting.date. Of the two days of the
+ * year with the required declination, the one closest to `referenceDate` is
+ * used (in its year). Positions the sun never reaches at this latitude are
+ * clamped to the nearest solstice.
+ */
+export function sunPositionToDate({ azimuth, altitude }, latitude, longitude, referenceDate = new Date()) {
+  const lat = latitude * DEG;
+  const az = azimuth * DEG;
+  const alt = altitude * DEG;
+
+  // Spherical triangle pole–zenith–sun solved for declination and hour angle
+  const sinDeclination = Math.sin(lat) * Math.sin(alt) + Math.cos(lat) * Math.cos(alt) * Math.cos(az);
+  let declination = Math.asin(Math.max(-1, Math.min(1, sinDeclination)));
+  if (Math.abs(declination) > MAX_DECLINATION * DEG) {
+    warnOnce(`sun:${azimuth},${altitude},${latitude}`, `Sun position ${azimuth}°/${altitude}° is never reached at latitude ${latitude.toFixed(2)}; using the nearest solstice`);
+    declination = Math.sign(declination) * MAX_DECLINATION * DEG;
+  }
+  const hourAngle = Math.atan2(
+    -Math.sin(az) * Math.cos(alt),
+    Math.cos(lat) * Math.sin(alt) - Math.sin(lat) * Math.cos(alt) * Math.cos(az)
+  );
+
+  // Pick the day of the year whose declination matches, closest to the reference day
+  const year = referenceDate.getUTCFullYear();
+  const referenceDay = dayOfYear(referenceDate);
+  let bestDay = referenceDay;
+  let bestScore = Infinity;
+  for (let day = 1; day <= 365; day++) {
+    const mismatch = Math.abs(solarTerms(day, 12).declination - declination);
+    const distance = Math.min(Math.abs(day - referenceDay), 365 - Math.abs(day - referenceDay));
+    // Declination changes by at most ~0.4° per day, so mismatch dominates
+    const score = mismatch / DEG + distance / 1000;
+    if (score < bestScore) {
+      bestScore = score;
+      bestDay = day;
+    }
+  }
+
+  const { equationOfTime } = solarTerms(bestDay, 12);
+  const utcMinutes = 720 + 4 * (hourAngle / DEG) - 4 * longitude - equationOfTime;
+  return new Date(Date.UTC(year, 0, bestDay, 0, 0, 0) + utcMinutes * 60000);
+}
+
+// --- Interpolation ---
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+function lerpColor(from, to, t) {
+  const a = parseColor(from);
+  const b = parseColor(to);
+  if (!a || !b) return t < 0.5 ? from : to;
+  return a.map((channel, i) => (i < 3 ? Math.round(lerp(channel, b[i], t)) : lerp(channel, b[i], t)));
+}
+
+function lerpNumber(from, to, t) {
+  const a = Number(from);
+  const b = Number(to);
+  if (from === undefined || to === undefined || Number.isNaN(a) || Number.isNaN(b)) return from;
+  return lerp(a, b, t);
+}
+
+/**
+ * Interpolates two environment blocks. Lighting dates, sun positions,
+ * numeric weather values, ground opacity and colours blend with progress.
+ * Lighting and weather types follow the next block from the start of the
+ * transition so the numbers blend within the new type; every other value
+ * (booleans, navigation constraint) holds the current block's value.
+ */
+export function interpolateEnvironmentBlocks(current, next, t) {
+  const result = structuredClone(current);
+
+  if (current.lighting && next.lighting) {
+    const lighting = result.lighting;
+    if (next.lighting.type !== undefined) lighting.type = next.lighting.type;
+    if (next.lighting.displayUTCOffset !== undefined) lighting.displayUTCOffset = next.lighting.displayUTCOffset;
+    if (current.lighting.datetime && next.lighting.datetime) {
+      const from = new Date(current.lighting.datetime).getTime();
+      const to = new Date(next.lighting.datetime).getTime();
+      lighting.datetime = new Date(lerp(from, to, t)).toISOString();
+    }
+    if (current.lighting.sun && next.lighting.sun) {
+      lighting.sun = {
+        azimuth: lerpAngle(current.lighting.sun.azimuth, next.lighting.sun.azimuth, t),
+        altitude: lerp(current.lighting.sun.altitude, next.lighting.sun.altitude, t)
+      };
+    }
+  }
+
+  if (current.weather && next.weather) {
+    if (next.weather.type !== undefined) result.weather.type = next.weather.type;
+    Object.keys(WEATHER_NUMBERS).forEach((key) => {
+      // A value only one side defines holds, so e.g. fogStrength does not jump when fog starts
+      const value = lerpNumber(current.weather[key] ?? next.weather[key], next.weather[key] ?? current.weather[key], t);
+      if (value !== undefined) result.weather[key] = value;
+    });
+  }
+
+  if (current.ground && next.ground) {
+    const opacity = lerpNumber(current.ground.opacity, next.ground.opacity, t);
+    if (opacity !== undefined) result.ground.opacity = opacity;
+    if (current.ground.surfaceColor && next.ground.surfaceColor) {
+      result.ground.surfaceColor = lerpColor(current.ground.surfaceColor, next.ground.surfaceColor, t);
+    }
+  }
+
+  if (current.background?.color && next.background?.color) {
+    result.background = { color: lerpColor(current.background.color, next.background.color, t) };
+  }
+
+  return result;
+}
+
+// --- Applying ---
+
+function applyLighting(view, lightingBlock) {
+  const environment = view.environment;
+  if (lightingBlock.type !== undefined && environment.lighting?.type !== lightingBlock.type) {
+    environment.lighting = { type: lightingBlock.type };
+  }
+  const lighting = environment.lighting;
+
+  if (lighting.type === "sun") {
+    let date = lightingBlock.datetime !== undefined ? new Date(lightingBlock.datetime) : null;
+    if (lightingBlock.sun) {
+      const center = view.center;
+      if (center && center.latitude !== undefined) {
+        date = sunPositionToDate(lightingBlock.sun, center.latitude, center.longitude, date ?? lighting.date ?? new Date());
+      }
+    }
+    if (date && !Number.isNaN(date.getTime())) lighting.date = date;
+    if (lightingBlock.displayUTCOffset !== undefined) lighting.displayUTCOffset = lightingBlock.displayUTCOffset;
+    if (lightingBlock.cameraTrackingEnabled !== undefined) lighting.cameraTrackingEnabled = lightingBlock.cameraTrackingEnabled;
+  }
+
+  if (lightingBlock.directShadowsEnabled !== undefined) lighting.directShadowsEnabled = lightingBlock.directShadowsEnabled;
+  if (lightingBlock.ambientOcclusionEnabled !== undefined) {
+    if ("ambientOcclusionEnabled" in lighting) lighting.ambientOcclusionEnabled = lightingBlock.ambientOcclusionEnabled;
+    else warnOnce("ambientOcclusion", "environment.lighting.ambientOcclusionEnabled is not supported by this version of the SDK");
+  }
+}
+
+function applyWeather(view, weatherBlock) {
+  const environment = view.environment;
+  if (weatherBlock.type !== undefined && environment.weather?.type !== weatherBlock.type) {
+    environment.weather = { type: weatherBlock.type };
+  }
+  const weather = environment.weather;
+  Object.keys(WEATHER_NUMBERS).forEach((key) => {
+    if (weatherBlock[key] === undefined || !(key in weather)) return;
+    const value = Number(weatherBlock[key]);
+    if (!Number.isNaN(value)) weather[key] = value;
+  });
+  if (weatherBlock.snowCover !== undefined && "snowCover" in weather) weather.snowCover = weatherBlock.snowCover;
+}
+
+function applyGround(view, groundBlock) {
+  const ground = view.map?.ground;
+  if (!ground) return;
+  if (groundBlock.opacity !== undefined) ground.opacity = groundBlock.opacity;
+  if (groundBlock.surfaceColor !== undefined) ground.surfaceColor = groundBlock.surfaceColor;
+  if (groundBlock.navigationConstraint !== undefined) {
+    // "none" lets the camera go below the ground (e.g. under the reservoir surface)
+    ground.navigationConstraint = { type: groundBlock.navigationConstraint };
+  }
+}
+
+/**
+ * Applies an environment block to a SceneView. Only the properties present
+ * in the block are changed, so slides can update the environment partially.
+ * Views without an environment (MapView) are ignored.
+ */
+export function applyEnvironment(view, block) {
+  if (!view || !block || typeof view.environment === "undefined") return;
+  const environment = view.environment;
+
+  if (block.lighting) applyLighting(view, block.lighting);
+  if (block.weather) applyWeather(view, block.weather);
+  if (block.atmosphereEnabled !== undefined) environment.atmosphereEnabled = !!block.atmosphereEnabled;
+  if (block.starsEnabled !== undefined) environment.starsEnabled = !!block.starsEnabled;
+  if (block.background !== undefined) {
+    environment.background = block.background ? { type: "color", color: block.background.color } : null;
+  }
+  if (block.ground) applyGround(view, block.ground);
+}
+
+function warnOnce(key, message) {
+  if (warned.has(key)) return;
+  warned.add(key);
+  console.warn(message);
+}
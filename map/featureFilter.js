@@ -0,0 +1,129 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import { resolveLayers } from "./layerUtils.js";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+/**
+ * How each layer effect function is scaled by strength. `identity` is the
+ * value at which the function has no visible effect (per unit: "%" or bare
+ * number); `args` lists which arguments scale ("all", or the indexes).
+ */
+const EFFECT_FUNCTIONS = {
+  "blur": { identity: { "": 0, "%": 0 }, args: "all" },
+  "grayscale": { identity: { "": 0, "%": 0 }, args: "all" },
+  "sepia": { identity: { "": 0, "%": 0 }, args: "all" },
+  "invert": { identity: { "": 0, "%": 0 }, args: "all" },
+  "hue-rotate": { identity: { "": 0, "%": 0 }, args: "all" },
+  "brightness": { identity: { "": 1, "%": 100 }, args: "all" },
+  "contrast": { identity: { "": 1, "%": 100 }, args: "all" },
+  "saturate": { identity: { "": 1, "%": 100 }, args: "all" },
+  "opacity": { identity: { "": 1, "%": 100 }, args: "all" },
+  // drop-shadow(offsetX offsetY blurRadius color): scale the lengths, keep the colour
+  "drop-shadow": { identity: { "": 0, "%": 0 }, args: [0, 1, 2] },
+  // bloom(strength, radius, threshold): only the strength fades
+  "bloom": { identity: { "": 0, "%": 0 }, args: [0] }
+};
+
+const EFFECT_FUNCTION = /([a-z-]+)\(((?:[^()]|\([^()]*\))*)\)/g;
+const NUMBER_WITH_UNIT = /^(-?\d*\.?\d+)([a-z%]*)$/i;
+
+/**
+ * Parses an effect string such as "grayscale(100%) blur(2px)" into
+ * [{ name, args }]. Returns null when the string contains no known function.
+ */
+export function parseEffect(effect) {
+  if (typeof effect !== "string") return null;
+  const functions = [...effect.matchAll(EFFECT_FUNCTION)].map(([, name, args]) => ({
+    name,
+    // Arguments are separated by spaces or commas, but colours like rgba(...) stay whole
+    args: args.match(/[a-z-]+\([^()]*\)|[^\s,]+/gi) || []
+  }));
+  if (!functions.length || functions.some(({ name }) => !EFFECT_FUNCTIONS[name])) return null;
+  return functions;
+}
+
+function scaleArgument(arg, identity, strength) {
+  const match = String(arg).match(NUMBER_WITH_UNIT);
+  if (!match) return arg;
+  const [, number, unit] = match;
+  const base = identity[unit === "%" ? "%" : ""];
+  const value = base + (Number(number) - base) * strength;
+  return `${Number(value.toFixed(4))}${unit}`;
+}
+
+/**
+ * Scales a layer effect towards "no effect" by strength (0–1): strength 1
+ * returns the effect as authored, 0 returns the identity of every function,
+ * e.g. scaleEffect("grayscale(100%) blur(2px)", 0.5) -> "grayscale(50%) blur(1px)".
+ * Scale-dependent effect arrays ([{ scale, value }]) are scaled entry by entry.
+ */
+export function scaleEffect(effect, strength = 1) {
+  if (Array.isArray(effect)) {
+    return effect.map((entry) => ({ ...entry, value: scaleEffect(entry.value, strength) }));
+  }
+  const functions = parseEffect(effect);
+  if (!functions || strength >= 1) return effect;
+
+  const s = Math.max(0, strength);
+  return functions.map(({ name, args }) => {
+    const { identity, args: scaled } = EFFECT_FUNCTIONS[name];
+    const scaledArgs = args.map((arg, i) => (scaled === "all" || scaled.includes(i) ? scaleArgument(arg, identity, s) : arg));
+    return `${name}(${scaledArgs.join(name === "bloom" ? ", " : " ")})`;
+  }).join(" ");
+}
+
+/**
+ * Applies one featureFilter entry from the choreography to the layers it references:
+ * - definitionExpression is set on the layer (server-side, slide change only)
+ * - with an effect, the layerView featureEffect emphasises features matching
+ *   the filter and applies excludedEffect to the rest, scaled by strength
+ * - without an effect, the filter is applied as a client-side layerView filter
+ * A filter or effect of null clears it.
+ */
+export function applyFeatureFilter(view, entry, { strength, applyDefinitionExpression = true } = {}) {
+  resolveLayers(view, entry.layer).forEach((layer) => {
+    if (applyDefinitionExpression && entry.definitionExpression !== undefined && "definitionExpression" in layer) {
+      if (layer.definitionExpression !== entry.definitionExpression) {
+        layer.definitionExpression = entry.definitionExpression;
+        log(`Layer '${layer.title}' definitionExpression set to`, entry.definitionExpression);
+      }
+    }
+
+    if (entry.filter === undefined && entry.effect === undefined) return;
+
+    view.whenLayerView(layer).then((layerView) => {
+      if (entry.effect) {
+        const effectStrength = strength ?? entry.effect.strength ?? 1;
+        layerView.filter = null;
+        layerView.featureEffect = {
+          filter: entry.filter || null,
+          includedEffect: scaleEffect(entry.effect.includedEffect, effectStrength),
+          excludedEffect: scaleEffect(entry.effect.excludedEffect, effectStrength)
+        };
+      } else {
+        if (entry.effect === null) layerView.featureEffect = null;
+        layerView.filter = entry.filter;
+      }
+    }).catch((error) => {
+      console.error(`Failed to apply feature filter to '${layer.title}':`, error);
+    });
+  });
+}
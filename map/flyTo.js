@@ -0,0 +1,113 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import { lerpAngle } from "./cameraPath.js";
+
+// Curvature of the zoom-out/zoom-in arc; van Wijk and Nuij recommend ~sqrt(2)
+export const FLY_TO_RHO = 1.42;
+
+/**
+ * Optimal zoom-and-pan interpolation (van Wijk & Nuij, "Smooth and efficient
+ * zooming and panning"). Returns a function of t (0–1) giving { x, y, width }
+ * for a view that pulls out while panning and pushes back in, so that the
+ * perceived speed stays constant over long distances.
+ */
+export function flyToPath(from, to, rho = FLY_TO_RHO) {
+  const rho2 = rho * rho;
+  const rho4 = rho2 * rho2;
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const d2 = dx * dx + dy * dy;
+  const w0 = from.width;
+  const w1 = to.width;
+
+  // Nearly the same centre: pure zoom, interpolated geometrically
+  if (d2 < 1e-12) {
+    const S = Math.log(w1 / w0) / rho;
+    return (t) => ({
+      x: from.x + t * dx,
+      y: from.y + t * dy,
+      width: w0 * Math.exp(rho * t * S)
+    });
+  }
+
+  const d1 = Math.sqrt(d2);
+  const b0 = (w1 * w1 - w0 * w0 + rho4 * d2) / (2 * w0 * rho2 * d1);
+  const b1 = (w1 * w1 - w0 * w0 - rho4 * d2) / (2 * w1 * rho2 * d1);
+  const r0 = Math.log(Math.sqrt(b0 * b0 + 1) - b0);
+  const r1 = Math.log(Math.sqrt(b1 * b1 + 1) - b1);
+  const S = (r1 - r0) / rho;
+  const coshR0 = Math.cosh(r0);
+
+  return (t) => {
+    const s = t * S;
+    const u = (w0 / (rho2 * d1)) * (coshR0 * Math.tanh(rho * s + r0) - Math.sinh(r0));
+    return {
+      x: from.x + u * dx,
+      y: from.y + u * dy,
+      width: (w0 * coshR0) / Math.cosh(rho * s + r0)
+    };
+  };
+}
+
+function describeViewpoint(viewpoint) {
+  const extent = viewpoint.targetGeometry;
+  const width = extent.xmax - extent.xmin;
+  const height = extent.ymax - extent.ymin;
+  return {
+    x: (extent.xmin + extent.xmax) / 2,
+    y: (extent.ymin + extent.ymax) / 2,
+    width,
+    aspect: width > 0 ? height / width : 1,
+    // Scale per map unit of width, so scale can follow the width along the arc
+    scalePerWidth: viewpoint.scale !== undefined && width > 0 ? viewpoint.scale / width : undefined
+  };
+}
+
+/**
+ * Interpolates two 2D viewpoints along the fly-to arc. Returns viewpoint JSON
+ * with a targetGeometry extent and a matching scale, so the result works for
+ * both mapFit "extent" and mapFit "scale". Returns null when either viewpoint
+ * has no extent.
+ */
+export function interpolateFlyTo(currentViewpoint, nextViewpoint, t, rho = FLY_TO_RHO) {
+  if (!currentViewpoint?.targetGeometry || !nextViewpoint?.targetGeometry) return null;
+
+  const from = describeViewpoint(currentViewpoint);
+  const to = describeViewpoint(nextViewpoint);
+  if (!(from.width > 0) || !(to.width > 0)) return null;
+
+  const u = Math.max(0, Math.min(1, Number(t)));
+  const { x, y, width } = flyToPath(from, to, rho)(u);
+  const height = width * (from.aspect + (to.aspect - from.aspect) * u);
+
+  const viewpointJSON = {
+    rotation: lerpAngle(currentViewpoint.rotation ?? 0, nextViewpoint.rotation ?? 0, u),
+    targetGeometry: {
+      spatialReference: currentViewpoint.targetGeometry.spatialReference || nextViewpoint.targetGeometry.spatialReference,
+      xmin: x - width / 2,
+      ymin: y - height / 2,
+      xmax: x + width / 2,
+      ymax: y + height / 2
+    }
+  };
+  if (from.scalePerWidth !== undefined && to.scalePerWidth !== undefined) {
+    viewpointJSON.scale = width * (from.scalePerWidth + (to.scalePerWidth - from.scalePerWidth) * u);
+  }
+  return viewpointJSON;
+}
@@ -0,0 +1,121 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+/**
+ * Describes, for every choreography key that supports keyframes, where its
+ * value sits at the start of the slide, at each keyframe and at the end of the
+ * slide, and how a pair of values is written back into the slide objects the
+ * scroll handlers already understand.
+ *
+ * - viewpoint/environment/layerOpacity run from this slide's value to the next slide's value.
+ * - timeSlider runs from timeSliderStart to timeSliderEnd; keyframes set `time`.
+ *   Segments keep the slide's timeSliderStart as `stepOrigin` so the time
+ *   still snaps to the slide's own stops.
+ */
+export const KEYFRAME_KEYS = {
+  viewpoint: {
+    property: "viewpoint",
+    start: (slideCurrent) => slideCurrent.viewpoint,
+    end: (slideCurrent, slideNext) => slideNext?.viewpoint,
+    apply: (slideCurrent, slideNext, from, to) => ({
+      slideCurrent: { ...slideCurrent, viewpoint: from },
+      slideNext: { ...slideNext, viewpoint: to }
+    })
+  },
+  environment: {
+    property: "environment",
+    start: (slideCurrent) => slideCurrent.environment,
+    end: (slideCurrent, slideNext) => slideNext?.environment,
+    apply: (slideCurrent, slideNext, from, to) => ({
+      slideCurrent: { ...slideCurrent, environment: from },
+      slideNext: { ...slideNext, environment: to }
+    })
+  },
+  layerOpacity: {
+    property: "layerOpacity",
+    start: (slideCurrent) => slideCurrent.layerOpacity,
+    end: (slideCurrent, slideNext) => slideNext?.layerOpacity,
+    apply: (slideCurrent, slideNext, from, to) => ({
+      slideCurrent: { ...slideCurrent, layerOpacity: from },
+      slideNext: { ...slideNext, layerOpacity: to }
+    })
+  },
+  timeSlider: {
+    property: "time",
+    start: (slideCurrent) => slideCurrent.timeSlider?.timeSliderStart,
+    end: (slideCurrent) => slideCurrent.timeSlider?.timeSliderEnd,
+    apply: (slideCurrent, slideNext, from, to) => ({
+      slideCurrent: {
+        ...slideCurrent,
+        timeSlider: {
+          ...slideCurrent.timeSlider,
+          timeSliderStart: from,
+          timeSliderEnd: to,
+          stepOrigin: slideCurrent.timeSlider.stepOrigin ?? slideCurrent.timeSlider.timeSliderStart
+        }
+      },
+      slideNext
+    })
+  }
+};
+
+/**
+ * Builds the ordered list of { at, value } stops for a key: the slide's own
+ * value at 0, every keyframe that sets the key sorted by `at`, and the end
+ * value at 1 when there is one.
+ */
+function getStops(definition, slideCurrent, slideNext) {
+  const stops = [{ at: 0, value: definition.start(slideCurrent, slideNext) }];
+  slideCurrent.keyframes
+    .filter((keyframe) => keyframe && keyframe[definition.property] !== undefined)
+    .sort((a, b) => a.at - b.at)
+    .forEach((keyframe) => stops.push({ at: keyframe.at, value: keyframe[definition.property] }));
+  const end = definition.end(slideCurrent, slideNext);
+  if (end !== undefined) stops.push({ at: 1, value: end });
+  return stops;
+}
+
+/**
+ * Resolves the keyframe segment that contains `progress` for one key.
+ * Returns the { slideCurrent, slideNext, progress } a two-point scroll handler
+ * should see: the bracketing stops written into the slide objects and progress
+ * rescaled to the segment. Slides without keyframes for the key pass through
+ * unchanged. Past the last stop the last value is held.
+ */
+export function resolveKeyframeSegment(key, slideCurrent, slideNext, progress) {
+  const definition = KEYFRAME_KEYS[key];
+  if (!definition || !Array.isArray(slideCurrent.keyframes) || !slideCurrent.keyframes.length) {
+    return { slideCurrent, slideNext, progress };
+  }
+
+  const stops = getStops(definition, slideCurrent, slideNext);
+  if (stops.length < 2) return { slideCurrent, slideNext, progress };
+
+  let index = stops.findIndex((stop, i) => i < stops.length - 1 && progress <= stops[i + 1].at);
+  if (index === -1) {
+    // Beyond the last keyframe with no end value: hold the last pose
+    const last = stops[stops.length - 1];
+    return { ...definition.apply(slideCurrent, slideNext, last.value, last.value), progress: 1 };
+  }
+
+  const from = stops[index];
+  const to = stops[index + 1];
+  const span = to.at - from.at;
+  const local = span > 0 ? Math.max(0, Math.min(1, (progress - from.at) / span)) : 1;
+  return { ...definition.apply(slideCurrent, slideNext, from.value, to.value), progress: local };
+}
@@ -0,0 +1,111 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Layer readiness for the slide pipeline. The layers a slide refers to are
+// loaded and their layerViews awaited (up to a timeout) before the slide's
+// camera move and time slider start, so layers do not stream in mid-animation.
+
+import * as reactiveUtils from "@arcgis/core/core/reactiveUtils";
+
+import { resolveLayerList } from "./layerUtils.js";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Layer references a slide uses: layers it turns on or fades in, filters,
+ * restyles, gives its own time or draws as tracks.
+ */
+export function slideLayerReferences(slideData) {
+  const references = [];
+  if (slideData.layerVisibility?.layersOn) references.push(...slideData.layerVisibility.layersOn);
+  if (slideData.layerOpacity) {
+    Object.entries(slideData.layerOpacity).forEach(([reference, opacity]) => {
+      if (opacity > 0) references.push(reference);
+    });
+  }
+  ["featureFilter", "layerRenderer", "layerTime"].forEach((key) => {
+    if (Array.isArray(slideData[key])) slideData[key].forEach((entry) => references.push(entry.layer));
+  });
+  if (slideData.trackRenderer?.trackLayerName) references.push(slideData.trackRenderer.trackLayerName);
+  return references;
+}
+
+/**
+ * The layers of a slide that own a layerView: sublayers resolve to the layer
+ * that draws them.
+ */
+function slideLayers(view, slideData) {
+  const layers = resolveLayerList(view, slideLayerReferences(slideData))
+    .map((layer) => (typeof layer.load === "function" ? layer : layer.layer))
+    .filter(Boolean);
+  return [...new Set(layers)];
+}
+
+function withTimeout(promise, timeout) {
+  let timer;
+  return Promise.race([
+    promise.then(() => true),
+    new Promise((resolve) => { timer = setTimeout(() => resolve(false), timeout); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Loads a layer and waits for its layerView to exist and, when the layer is
+ * shown, to finish its first update.
+ */
+async function whenLayerReady(view, layer) {
+  await layer.load();
+  const layerView = await view.whenLayerView(layer);
+  if (layer.visible) await reactiveUtils.whenOnce(() => !layerView.updating);
+}
+
+/**
+ * Resolves when every layer the slide uses is loaded and drawn in the view,
+ * or after `timeout` ms. Layers that fail or time out are reported and do
+ * not hold the slide back.
+ */
+export async function whenSlideLayersReady(view, slideData, timeout = DEFAULT_TIMEOUT_MS) {
+  const layers = slideLayers(view, slideData);
+  if (!layers.length) return;
+
+  const results = await Promise.all(layers.map((layer) =>
+    withTimeout(whenLayerReady(view, layer), timeout).catch((error) => {
+      console.warn(`Layer '${layer.title}' failed to load:`, error);
+      return true;
+    }).then((ready) => {
+      if (!ready) console.warn(`Layer '${layer.title}' was not ready after ${timeout} ms; continuing`);
+      return ready;
+    })
+  ));
+  log(`Slide layers ready (${results.filter(Boolean).length}/${layers.length})`);
+}
+
+/**
+ * Starts loading the layers a slide uses and creating their layerViews in
+ * the background, e.g. for the next slide. Never rejects.
+ */
+export function preloadSlideLayers(view, slideData) {
+  slideLayers(view, slideData).forEach((layer) => {
+    layer.load()
+      .then(() => view.whenLayerView(layer))
+      .catch((error) => log(`Preloading layer '${layer.title}' failed`, error));
+  });
+}
@@ -0,0 +1,77 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import { resolveLayers } from "./layerUtils.js";
+import { getSlideTimeOptions, timeExtentAtProgress } from "./timeUtils.js";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+// Per entry: the time options of its timeline, read once
+const timelineOptions = new WeakMap();
+
+function getTimelineOptions(entry, defaults) {
+  if (!timelineOptions.has(entry)) timelineOptions.set(entry, getSlideTimeOptions(entry.timeline, defaults));
+  return timelineOptions.get(entry);
+}
+
+/**
+ * Time extent a layerTime entry gives its layers at `progress`: the fixed
+ * timeExtent, or the extent of its own timeline (same fields and stepping as
+ * a slide's timeSlider). Returns undefined when the entry sets neither.
+ */
+function entryTimeExtent(entry, progress, defaults) {
+  if (entry.timeline) return timeExtentAtProgress(getTimelineOptions(entry, defaults), progress);
+  if (entry.timeExtent === null) return null;
+  if (entry.timeExtent) {
+    return {
+      start: entry.timeExtent.start ? new Date(entry.timeExtent.start) : null,
+      end: entry.timeExtent.end ? new Date(entry.timeExtent.end) : null
+    };
+  }
+  return undefined;
+}
+
+/**
+ * Applies one layerTime entry on slide change:
+ * - useViewTime decides whether the layer follows the view's time slider
+ * - timeOffset ({ value, unit }, or null to clear) shifts the layer's data in time
+ * - timeExtent (fixed) or timeline (scroll-driven, starting at its first frame)
+ *   filters the layer on its own clock
+ */
+export function applyLayerTime(view, entry, defaults) {
+  const timeExtent = entryTimeExtent(entry, 0, defaults);
+  resolveLayers(view, entry.layer).forEach((layer) => {
+    if (entry.useViewTime !== undefined && "useViewTime" in layer) layer.useViewTime = entry.useViewTime;
+    if (entry.timeOffset !== undefined && "timeOffset" in layer) layer.timeOffset = entry.timeOffset;
+    if (timeExtent !== undefined && "timeExtent" in layer) layer.timeExtent = timeExtent;
+    log(`Layer '${layer.title}' time set`, { useViewTime: layer.useViewTime, timeOffset: entry.timeOffset, timeExtent });
+  });
+}
+
+/**
+ * Moves the time extent of a layerTime entry with a timeline along with the
+ * scroll progress, independently of the view's time slider.
+ */
+export function interpolateLayerTimeline(view, entry, progress, defaults) {
+  if (!entry.timeline) return;
+  const timeExtent = entryTimeExtent(entry, progress, defaults);
+  resolveLayers(view, entry.layer).forEach((layer) => {
+    if ("timeExtent" in layer) layer.timeExtent = timeExtent;
+  });
+}
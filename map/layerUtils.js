@@ -0,0 +1,164 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Layer references used throughout the choreography. A reference is either a
+// string or an object:
+//
+//   "Hillshade"                        exact layer title (original behaviour)
+//   "id:18c0d6f2a7b-layer-12"          layer id
+//   "pattern:^Flight \\| Tracks"       regular expression tested against the title
+//   "path:Flood > Flood Effect"        titles of the enclosing group layers, then the layer
+//   { "id": "..." }, { "title": "..." }, { "pattern": "...", "flags": "i" },
+//   { "path": ["Flood", "Flood Effect"] }
+//
+// References are resolved recursively through map.allLayers (group layers,
+// basemap base and reference layers) and the sublayers of map image / subtype layers.
+
+const PATH_SEPARATOR = ">";
+const MAP_CLASSES = new Set(["esri.Map", "esri.WebMap", "esri.WebScene"]);
+const warnedReferences = new Set();
+
+/**
+ * Parses a layer reference into { kind, value, flags } where kind is one of
+ * "title", "id", "pattern" or "path" (value is then an array of titles).
+ * Returns null when the reference is malformed.
+ */
+export function parseLayerReference(reference) {
+  if (typeof reference === "string") {
+    const match = reference.match(/^(id|pattern|path|title):(.*)$/s);
+    if (!match) return reference ? { kind: "title", value: reference } : null;
+    const [, kind, value] = match;
+    if (kind === "path") return parsePath(value);
+    return value ? { kind, value } : null;
+  }
+
+  if (reference && typeof reference === "object" && !Array.isArray(reference)) {
+    const kinds = ["id", "title", "pattern", "path"].filter((kind) => reference[kind] !== undefined);
+    if (kinds.length !== 1) return null;
+    const kind = kinds[0];
+    if (kind === "path") return parsePath(reference.path);
+    if (typeof reference[kind] !== "string" || !reference[kind]) return null;
+    return { kind, value: reference[kind], flags: kind === "pattern" ? reference.flags : undefined };
+  }
+
+  return null;
+}
+
+function parsePath(path) {
+  const segments = Array.isArray(path)
+    ? path
+    : typeof path === "string" ? path.split(PATH_SEPARATOR).map((segment) => segment.trim()) : null;
+  if (!segments || !segments.length || segments.some((segment) => typeof segment !== "string" || !segment)) return null;
+  return { kind: "path", value: segments };
+}
+
+/**
+ * Returns a readable label for a reference, used in warnings.
+ */
+export function describeLayerReference(reference) {
+  return typeof reference === "string" ? reference : JSON.stringify(reference);
+}
+
+/**
+ * Compiles the regular expression of a pattern reference, or returns null when invalid.
+ */
+export function compileLayerPattern(parsed) {
+  try {
+    return new RegExp(parsed.value, parsed.flags);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every layer and sublayer reachable from the view's map, in drawing order.
+ */
+function getAllLayers(view) {
+  const map = view?.map;
+  if (!map) return [];
+  const layers = map.allLayers ? map.allLayers.toArray() : map.layers.toArray();
+  return layers.flatMap((layer) => (layer.allSublayers ? [layer, ...layer.allSublayers.toArray()] : [layer]));
+}
+
+/**
+ * Titles of the group layers (or parent layers of a sublayer) enclosing a layer,
+ * outermost first, followed by the layer's own title.
+ */
+function getTitlePath(layer) {
+  const titles = [layer.title];
+  let parent = layer.parent ?? layer.layer;
+  while (parent && parent.title !== undefined && parent !== layer) {
+    // Stop at the map itself; web maps carry their portal item title
+    if (MAP_CLASSES.has(parent.declaredClass)) break;
+    titles.unshift(parent.title);
+    parent = parent.parent ?? parent.layer;
+  }
+  return titles;
+}
+
+function matches(layer, parsed, pattern) {
+  switch (parsed.kind) {
+    case "id":
+      return String(layer.id) === parsed.value;
+    case "title":
+      return layer.title === parsed.value;
+    case "pattern":
+      return !!pattern && typeof layer.title === "string" && pattern.test(layer.title);
+    case "path": {
+      // The path must match the end of the layer's title path
+      const titles = getTitlePath(layer);
+      const offset = titles.length - parsed.value.length;
+      return offset >= 0 && parsed.value.every((title, i) => titles[offset + i] === title);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolves one layer reference against the view's map, returning every match.
+ * Logs a warning (once per reference) when nothing matches so renamed layers
+ * do not silently break the story.
+ */
+export function resolveLayers(view, reference) {
+  const parsed = parseLayerReference(reference);
+  if (!parsed) {
+    warnOnce(`invalid:${describeLayerReference(reference)}`, `Invalid layer reference ${describeLayerReference(reference)}`);
+    return [];
+  }
+  const pattern = parsed.kind === "pattern" ? compileLayerPattern(parsed) : null;
+  const found = getAllLayers(view).filter((layer) => matches(layer, parsed, pattern));
+  if (!found.length) {
+    warnOnce(`missing:${describeLayerReference(reference)}`, `Layer reference ${describeLayerReference(reference)} did not match any layer`);
+  }
+  return found;
+}
+
+/**
+ * Resolves a list of layer references, returning the unique layers matched.
+ */
+export function resolveLayerList(view, references) {
+  if (!Array.isArray(references)) return [];
+  return [...new Set(references.flatMap((reference) => resolveLayers(view, reference)))];
+}
+
+function warnOnce(key, message) {
+  if (warnedReferences.has(key)) return;
+  warnedReferences.add(key);
+  console.warn(message);
+}
@@ -0,0 +1,120 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Public API for custom choreography keys. A plugin declares a slide key and
+// the handlers the slide and scroll pipelines call for slides carrying it:
+//
+//   registerChoreographyPlugin({
+//     key: "searchlights",
+//     schema: { type: "object", properties: { count: { type: "integer" } } },
+//     setup({ views, slides, animationConfig }) { ... },
+//     onSlide({ slideData, slideNext, view, timeSlider, embedded }) { ... },
+//     onScroll({ slideCurrent, slideNext, progress, view, timeSlider, embedded }) { ... },
+//     teardown({ views, slides, animationConfig }) { ... }
+//   });
+//
+// Every hook is optional. Register plugins before the choreography loads
+// (e.g. from a module script placed before animateMap.js in map.html) so the
+// validator knows their keys.
+
+// Keys of the core slide schema (see validateChoreography.js); plugins cannot replace them
+const RESERVED_KEYS = new Set([
+  "note", "maps", "camera", "viewpoint", "layerVisibility", "layerOpacity", "layerRenderer",
+  "featureFilter", "timeSlider", "layerTime", "trackRenderer", "easing", "transition",
+  "keyframes", "environment"
+]);
+const HOOKS = ["setup", "teardown", "onSlide", "onScroll", "validate"];
+
+const plugins = new Map();
+// Contexts passed to setup/teardown, one per running animator
+const activeContexts = new Set();
+
+function runHook(plugin, hook, context) {
+  try {
+    return plugin[hook]?.(context);
+  } catch (error) {
+    console.error(`Choreography plugin '${plugin.key}' ${hook} failed:`, error);
+  }
+}
+
+/**
+ * Registers a plugin for a custom choreography key. Options:
+ *   key        slide key the plugin handles (required)
+ *   schema     schema of the key's value, checked by the validator
+ *   validate   (value, slide) => issues ({ severity, path, message }) for semantic checks
+ *   setup      called with { views, slides, animationConfig, animator } once a story is loaded
+ *   teardown   called with the same context when the animator is destroyed or the plugin unregistered
+ *   onSlide    called on slide change with the slide handler context
+ *   onScroll   called on scroll progress with the scroll handler context
+ *   gated      when true, onSlide waits for the slide's layers like the camera and time slider
+ * Returns a function that unregisters the plugin.
+ */
+export function registerChoreographyPlugin(plugin) {
+  if (!plugin || typeof plugin.key !== "string" || !plugin.key) {
+    throw new Error("A choreography plugin needs a 'key'");
+  }
+  if (RESERVED_KEYS.has(plugin.key)) {
+    throw new Error(`'${plugin.key}' is a built-in choreography key and cannot be handled by a plugin`);
+  }
+  if (plugins.has(plugin.key)) {
+    throw new Error(`A choreography plugin is already registered for '${plugin.key}'`);
+  }
+  HOOKS.forEach((hook) => {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+      throw new Error(`Choreography plugin '${plugin.key}': ${hook} must be a function`);
+    }
+  });
+
+  plugins.set(plugin.key, plugin);
+  activeContexts.forEach((context) => runHook(plugin, "setup", context));
+  return () => unregisterChoreographyPlugin(plugin.key);
+}
+
+/**
+ * Unregisters the plugin for a key, tearing it down first in every running animator.
+ */
+export function unregisterChoreographyPlugin(key) {
+  const plugin = plugins.get(key);
+  if (!plugin) return;
+  activeContexts.forEach((context) => runHook(plugin, "teardown", context));
+  plugins.delete(key);
+}
+
+/**
+ * Returns the plugin registered for a key, or null.
+ */
+export function getChoreographyPlugin(key) {
+  return plugins.get(key) ?? null;
+}
+
+/**
+ * Runs every plugin's setup hook for an animator; plugins registered later
+ * are set up on registration.
+ */
+export function setupChoreographyPlugins(context) {
+  activeContexts.add(context);
+  plugins.forEach((plugin) => runHook(plugin, "setup", context));
+}
+
+/**
+ * Runs every plugin's teardown hook for an animator set up with `context`.
+ */
+export function teardownChoreographyPlugins(context) {
+  if (!activeContexts.delete(context)) return;
+  plugins.forEach((plugin) => runHook(plugin, "teardown", context));
+}
@@ -0,0 +1,265 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Predictive preloading of views. Looking `lookahead` slides ahead, views
+// that upcoming slides use are created off-screen (within a memory budget),
+// stepped through the viewpoints/cameras of those slides so their tiles and
+// features are fetched, and left at the viewpoint they will first be shown
+// at. Readiness is reported per view with a `viewpreload` event on window.
+
+import * as reactiveUtils from "@arcgis/core/core/reactiveUtils";
+import Camera from "@arcgis/core/Camera.js";
+import Viewpoint from "@arcgis/core/Viewpoint.js";
+
+import { preloadSlideLayers } from "./layerReadiness.js";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+export const PRELOAD_EVENT = "viewpreload";
+
+const DEFAULT_LOOKAHEAD = 3;
+// Longest wait for a view to finish updating at one preloaded viewpoint
+const SETTLE_TIMEOUT_MS = 8000;
+
+/**
+ * Resolves once the view has finished updating, or after the timeout.
+ */
+function whenSettled(view, timeout = SETTLE_TIMEOUT_MS) {
+  let timer;
+  return Promise.race([
+    reactiveUtils.whenOnce(() => !view.updating),
+    new Promise((resolve) => { timer = setTimeout(resolve, timeout); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * goTo target of a slide for a view: the camera for scenes when the slide has
+ * one, otherwise the slide's viewpoint.
+ */
+function slideTarget(slide, view) {
+  const viewpoint = slide.viewpoint;
+  if (!viewpoint) return null;
+  const camera = slide.camera || viewpoint.camera;
+  if (view.type === "3d" && camera) return Camera.fromJSON(camera);
+  const { camera: _camera, path, ...viewpointJSON } = viewpoint;
+  return viewpointJSON.targetGeometry ? Viewpoint.fromJSON(viewpointJSON) : null;
+}
+
+/**
+ * Creates a preload manager driving a view registry (see viewRegistry.js).
+ * Settings come from animationConfig.preload:
+ *   lookahead      number of slides ahead to preload (default 3)
+ *   memoryBudget   MB all live views may use together (no limit when unset)
+ * With a budget every map needs animationConfig.maps[i].memoryEstimate (MB),
+ * what a view costs before it exists and while the SDK does not report its
+ * memory use (only scene views do). Throws when an estimate is missing.
+ */
+export function createPreloadManager(views, animationConfig) {
+  const settings = animationConfig.preload || {};
+  const lookahead = settings.lookahead ?? DEFAULT_LOOKAHEAD;
+  const memoryBudget = settings.memoryBudget ?? Infinity;
+  if (settings.memoryBudget !== undefined) {
+    animationConfig.maps.forEach((map, index) => {
+      if (typeof map.memoryEstimate !== "number" || map.memoryEstimate <= 0) {
+        throw new Error(`preload.memoryBudget is set but map ${index} has no memoryEstimate (MB)`);
+      }
+    });
+  }
+
+  const status = new Map();
+  const readyPromises = new Map();
+  // Per map index: the slide a ready view was left at, so it is not warmed again
+  const warmedFor = new Map();
+  let warmToken = 0;
+
+  // Resolves the whenReady() promises of a view: true once preloaded, false when preloading was abandoned
+  function settleReady(index, preloaded) {
+    readyPromises.get(index)?.resolve(preloaded);
+    readyPromises.delete(index);
+  }
+
+  function setStatus(index, value) {
+    if (status.get(index) === value) return;
+    status.set(index, value);
+    log(`View ${index} preload: ${value}`);
+    if (value === "ready") settleReady(index, true);
+    window.dispatchEvent(new CustomEvent(PRELOAD_EVENT, { detail: { index, status: value } }));
+  }
+
+  /**
+   * Forgets the status of a view the registry destroyed while it was being
+   * preloaded; it is preloaded again when an upcoming slide needs it.
+   */
+  function dropView(index) {
+    warmedFor.delete(index);
+    status.delete(index);
+    settleReady(index, false);
+    log(`View ${index} preload: dropped`);
+  }
+
+  // Memory (MB) a view uses as reported by the SDK, else its estimate (0 without a budget)
+  function memoryOf(index) {
+    const view = views.get(index)?.view;
+    const used = view?.performanceInfo?.usedMemory;
+    if (typeof used === "number" && used > 0) return used / (1024 * 1024);
+    return animationConfig.maps[index].memoryEstimate ?? 0;
+  }
+
+  /**
+   * Views used by the slides after `index` up to the lookahead, nearest first,
+   * each with the upcoming slides that use it.
+   */
+  function upcomingViews(index, slides) {
+    const upcoming = new Map();
+    for (let i = index + 1; i <= index + lookahead && i < slides.length; i++) {
+      (slides[i].maps || [0]).forEach((mapIndex) => {
+        if (!upcoming.has(mapIndex)) upcoming.set(mapIndex, []);
+        upcoming.get(mapIndex).push(slides[i]);
+      });
+    }
+    return upcoming;
+  }
+
+  /**
+   * Visits the viewpoints of the upcoming slides in a hidden view so their
+   * data is fetched, then returns to the first one, where the view will be
+   * shown. Stops early when a newer update starts.
+   */
+  async function warm(index, upcomingSlides, token) {
+    const firstSlide = upcomingSlides[0];
+    if (status.get(index) === "ready" && warmedFor.get(index) === firstSlide && views.get(index)?.view) return;
+    warmedFor.delete(index);
+    setStatus(index, "loading");
+    const view = await views.whenView(index);
+    // Destroyed by the registry before it was ready
+    if (!view) {
+      if (token === warmToken) dropView(index);
+      return;
+    }
+    if (token !== warmToken) return;
+    const targets = upcomingSlides.map((slide) => slideTarget(slide, view)).filter(Boolean);
+
+    for (const target of [...targets.slice(1), targets[0]].filter(Boolean)) {
+      if (token !== warmToken) return;
+      try {
+        await view.goTo(target, { animate: false });
+      } catch (error) {
+        // goTo is interrupted when the view is shown and animated meanwhile, or destroyed
+        if (token === warmToken && views.get(index)?.view !== view) dropView(index);
+        return;
+      }
+      await whenSettled(view);
+    }
+    if (token !== warmToken) return;
+    warmedFor.set(index, firstSlide);
+    setStatus(index, "ready");
+  }
+
+  /**
+   * Updates preloading for the slide at `index`: keeps the views of nearby
+   * slides (handled by the registry), creates the views of upcoming slides
+   * while they fit in the memory budget, warms hidden views, starts loading
+   * the next slide's layers and lets the registry destroy everything else.
+   */
+  function update(index, slides) {
+    const token = ++warmToken;
+    const visible = new Set(slides[index]?.maps || [0]);
+    const upcoming = upcomingViews(index, slides);
+
+    // Views of the current and neighbouring slides are always kept; upcoming ones are added within budget
+    const keep = new Set();
+    let used = 0;
+    views.entries().forEach((entry) => {
+      used += memoryOf(entry.index);
+    });
+    upcoming.forEach((upcomingSlides, mapIndex) => {
+      if (views.get(mapIndex)) {
+        keep.add(mapIndex);
+        return;
+      }
+      const cost = memoryOf(mapIndex);
+      if (used + cost > memoryBudget) {
+        setStatus(mapIndex, "deferred");
+        return;
+      }
+      used += cost;
+      keep.add(mapIndex);
+    });
+
+    views.updateLifecycle(index, slides, keep);
+
+    const nextSlide = slides[index + 1];
+    if (nextSlide) {
+      (nextSlide.maps || [0]).forEach((mapIndex) => {
+        views.get(mapIndex)?.ready.then((view) => view && preloadSlideLayers(view, nextSlide));
+      });
+    }
+
+    upcoming.forEach((upcomingSlides, mapIndex) => {
+      if (!keep.has(mapIndex)) return;
+      if (visible.has(mapIndex)) {
+        // Already on screen; it loads as it is shown
+        views.whenView(mapIndex).then((view) => {
+          if (!view) {
+            dropView(mapIndex);
+            return;
+          }
+          whenSettled(view).then(() => {
+            if (views.get(mapIndex)?.view === view) setStatus(mapIndex, "ready");
+          });
+        });
+        return;
+      }
+      warm(mapIndex, upcomingSlides, token).catch((error) => {
+        console.warn(`Failed to preload view ${mapIndex}:`, error);
+        setStatus(mapIndex, "failed");
+      });
+    });
+  }
+
+  /**
+   * Resolves with true when a view has been preloaded (immediately when it
+   * already is), or with false when its preloading is abandoned.
+   */
+  function whenReady(index) {
+    if (status.get(index) === "ready") return Promise.resolve(true);
+    if (!readyPromises.has(index)) {
+      let resolve;
+      const promise = new Promise((r) => { resolve = r; });
+      readyPromises.set(index, { promise, resolve });
+    }
+    return readyPromises.get(index).promise;
+  }
+
+  /**
+   * Stops warming views; the registry destroys the views themselves.
+   */
+  function destroy() {
+    warmToken++;
+    [...readyPromises.keys()].forEach((index) => settleReady(index, false));
+  }
+
+  return {
+    update,
+    whenReady,
+    destroy,
+    // Preload status per map index: loading, ready, deferred or failed
+    getStatus: () => Object.fromEntries(status)
+  };
+}
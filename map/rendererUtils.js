@@ -0,0 +1,118 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Interpolation of renderer visual variables (size, color, opacity) between
+// two renderer definitions in the SDK's autocast format, e.g.
+// { type: "simple", symbol: {...}, visualVariables: [{ type: "size", field, stops: [...] }] }.
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Parses a colour given as [r, g, b, a], "#rgb", "#rrggbb" or "rgb()/rgba()"
+ * into [r, g, b, a]. Returns null for anything else (e.g. named colours).
+ */
+export function parseColor(color) {
+  if (Array.isArray(color)) return [color[0], color[1], color[2], color[3] ?? 1];
+  if (typeof color !== "string") return null;
+  const value = color.trim();
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split("").map((d) => d + d).join("") : hex[1];
+    return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+  }
+
+  const rgb = value.match(/^rgba?\(([^)]+)\)$/i);
+  if (rgb) {
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (parts.length >= 3 && parts.every((part) => !Number.isNaN(part))) return [parts[0], parts[1], parts[2], parts[3] ?? 1];
+  }
+  return null;
+}
+
+function interpolateColor(from, to, t) {
+  const a = parseColor(from);
+  const b = parseColor(to);
+  if (!a || !b) return t < 0.5 ? from : to;
+  return a.map((channel, i) => (i < 3 ? Math.round(lerp(channel, b[i], t)) : lerp(channel, b[i], t)));
+}
+
+/**
+ * Interpolates two values of the same shape: numbers are lerped, colours are
+ * blended, arrays and objects are walked key by key. Anything that cannot be
+ * interpolated switches from `from` to `to` halfway.
+ */
+function interpolateValue(key, from, to, t) {
+  if (to === undefined) return from;
+  if (from === undefined) return to;
+  if (typeof from === "number" && typeof to === "number") return lerp(from, to, t);
+  if (key === "color") return interpolateColor(from, to, t);
+  if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+    return from.map((item, i) => interpolateValue(key, item, to[i], t));
+  }
+  if (from && to && typeof from === "object" && typeof to === "object" && !Array.isArray(from)) {
+    const result = { ...from };
+    Object.keys(to).forEach((k) => {
+      result[k] = interpolateValue(k, from[k], to[k], t);
+    });
+    return result;
+  }
+  return t < 0.5 ? from : to;
+}
+
+const VARIABLE_TYPES = ["size", "color", "opacity"];
+
+function sameVariable(a, b) {
+  return a.type === b.type &&
+    (a.field ?? null) === (b.field ?? null) &&
+    (a.valueExpression ?? null) === (b.valueExpression ?? null) &&
+    (a.axis ?? null) === (b.axis ?? null);
+}
+
+/**
+ * Interpolates the size, color and opacity visual variables of `fromRenderer`
+ * towards the matching variables (same type, field/valueExpression and axis)
+ * of `toRenderer`. Stops are interpolated pairwise when both variables have
+ * the same number of stops, together with minSize/maxSize and
+ * minDataValue/maxDataValue. Everything else keeps the `fromRenderer` value,
+ * so the renderer type and symbol only change on slide change.
+ */
+export function interpolateRenderer(fromRenderer, toRenderer, t) {
+  const progress = Math.max(0, Math.min(1, Number(t)));
+  const renderer = structuredClone(fromRenderer);
+  if (!toRenderer || !Array.isArray(renderer.visualVariables)) return renderer;
+  const targets = Array.isArray(toRenderer.visualVariables) ? toRenderer.visualVariables : [];
+
+  renderer.visualVariables = renderer.visualVariables.map((variable) => {
+    if (!VARIABLE_TYPES.includes(variable.type)) return variable;
+    const target = targets.find((candidate) => sameVariable(variable, candidate));
+    if (!target) return variable;
+
+    const result = { ...variable };
+    if (Array.isArray(variable.stops) && Array.isArray(target.stops) && variable.stops.length === target.stops.length) {
+      result.stops = variable.stops.map((stop, i) => interpolateValue("stop", stop, target.stops[i], progress));
+    }
+    ["minSize", "maxSize", "minDataValue", "maxDataValue"].forEach((key) => {
+      if (variable[key] !== undefined && target[key] !== undefined) {
+        result[key] = interpolateValue(key, variable[key], target[key], progress);
+      }
+    });
+    return result;
+  });
+  return renderer;
+}
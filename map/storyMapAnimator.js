@@ -0,0 +1,578 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// The map animator: loads a choreography, creates the views of its maps
+// inside a root element and drives them from hash navigation and the story's
+// postMessage progress. Every instance keeps its own state, so several can
+// run on one page, and destroy() removes everything an instance set up.
+
+import "@arcgis/map-components/components/arcgis-map";
+import "@arcgis/map-components/components/arcgis-scene";
+import "@arcgis/map-components/components/arcgis-time-slider";
+import "@esri/calcite-components/components/calcite-button";
+import "@arcgis/map-components/components/arcgis-expand";
+import "@arcgis/core/assets/esri/themes/dark/main.css";
+import "@esri/calcite-components/components/calcite-slider";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+// Animation configuration
+import { animationConfig } from "./configAnimation.js";
+
+// View registry and synchronization
+import { createViewRegistry } from "./viewRegistry.js";
+import { syncViews } from "./sceneUtils.js";
+import { createPreloadManager } from "./preloadManager.js";
+
+// View transition styles
+import { applyTransition, clearTransition } from "./transitions.js";
+
+// Slide and scroll animation functions
+import { slideAnimation } from "./animateOnSlide.js";
+import { scrollAnimation } from "./animateOnScroll.js";
+
+// Custom choreography keys
+import { setupChoreographyPlugins, teardownChoreographyPlugins } from "./plugins.js";
+
+// Host/map message protocol
+import { PROTOCOL_VERSION, HOST_SOURCE, MAP_SOURCE, createMessage, isAllowedOrigin, parseMessage } from '../src/messageProtocol.js';
+
+// Choreography validation
+import { validateChoreography, formatChoreographyReport, formatChoreographyIssue, ChoreographyValidationError } from "./validateChoreography.js";
+
+/**
+ * Fetch the choreography and validate it against the slide schema.
+ * Throws a ChoreographyValidationError carrying the per-slide report when
+ * any slide has errors; warnings are logged and the slides are returned.
+ */
+export async function loadChoreography(path, config = animationConfig) {
+  try {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`Failed to fetch choreography: ${response.status}`);
+    const data = await response.json();
+    const report = validateChoreography(data, config);
+    if (!report.valid) throw new ChoreographyValidationError(report);
+    if (report.warningCount) console.warn(formatChoreographyReport(report).join("\n"));
+    log("Loaded slides", data);
+    return data;
+  } catch (error) {
+    console.error("Failed to load choreography:", error);
+    throw error;
+  }
+}
+
+/**
+ * Creates (or finds) the map/scene element of a map index in its container
+ * and applies the configuration to it. Created elements get their own time
+ * slider inside an expand.
+ */
+export function configureMap(animationConfig, mapIndex, element, view, container) {
+  // Try to find an existing map/scene element; otherwise create one dynamically
+  container = container ?? document.getElementById(animationConfig.maps[mapIndex].container);
+  if (!container) throw new Error(`${animationConfig.maps[mapIndex].container} container not found in DOM`);
+
+  // Determine which component to create. animationConfig.itemType can be
+  // 'webscene'|'scene' to force a 3D scene; otherwise default to 2D map.
+  const prefersScene = animationConfig && animationConfig.maps[mapIndex].type === 'webscene';
+  const tagName = prefersScene ? 'arcgis-scene' : 'arcgis-map';
+
+  // If a map/scene already exists inside the container, use it; otherwise create one
+  element = container.querySelector('arcgis-map, arcgis-scene');
+  if (!element) {
+    element = document.createElement(tagName);
+    // Derived from the container id, so several animators on a page do not clash
+    element.id = `${container.id}-view`;
+    // Insert the map/scene as first child so controls overlay correctly
+    container.insertBefore(element, container.firstChild);
+
+    // Create and append a dedicated time slider inside an arcgis-expand if not present
+    let viewExpand = element.querySelector('arcgis-expand');
+    if (!viewExpand) {
+      viewExpand = document.createElement('arcgis-expand');
+      viewExpand.setAttribute('position', 'bottom-right');
+      viewExpand.setAttribute('mode', 'floating');
+      element.appendChild(viewExpand);
+    }
+    let viewTimeSlider = viewExpand.querySelector('arcgis-time-slider');
+    if (!viewTimeSlider) {
+      viewTimeSlider = document.createElement('arcgis-time-slider');
+      viewTimeSlider.setAttribute('slot', 'bottom-right');
+      viewTimeSlider.setAttribute('reference-element', element.id);
+      viewTimeSlider.setAttribute('mode', 'cumulative-from-start');
+      viewTimeSlider.setAttribute('play-rate', animationConfig?.timePlayRate || 250);
+      viewExpand.appendChild(viewTimeSlider);
+    }
+  }
+
+  element.addEventListener("arcgisViewReadyChange", () => {
+    view = element.view;
+  });
+
+  try {
+    // Apply configuration attributes from animationConfig
+    if (animationConfig?.maps[mapIndex]?.itemId && element.getAttribute("item-id") !== animationConfig.maps[mapIndex].itemId) {
+      element.setAttribute("item-id", animationConfig.maps[mapIndex].itemId);
+    }
+    if (animationConfig?.zoom && element.getAttribute("zoom") !== animationConfig.zoom) {
+      element.setAttribute("zoom", animationConfig.zoom);
+    }
+    if (animationConfig?.center && element.getAttribute("center") !== animationConfig.center) {
+      element.setAttribute("center", animationConfig.center);
+    }
+    // Each map/scene owns the time slider inside it; layers that should ignore it use layerTime
+    const elementTimeSlider = element.querySelector('arcgis-time-slider');
+    if (elementTimeSlider && animationConfig?.timePlayRate !== undefined) elementTimeSlider.setAttribute("play-rate", animationConfig.timePlayRate);
+    if (animationConfig?.disableMapNav) {
+      // if mapView is not yet ready, these handlers will be attached later when view is available
+      const attachNavHandlers = () => {
+        if (!view) return;
+        view.navigation.mouseWheelZoomEnabled = false;
+        view.navigation.dragEnabled = false;
+        view.navigation.doubleClickZoomEnabled = false;
+        view.navigation.browserTouchPanEnabled = false;
+        view.navigation.browserTouchZoomEnabled = false;
+      };
+      // attempt immediate attach, otherwise attach once view is ready
+      if (view) attachNavHandlers();
+      else element.addEventListener("arcgisViewReadyChange", attachNavHandlers, { once: true });
+    }
+    return element;
+
+  } catch (error) {
+    console.error("Failed to configure map:", error);
+  }
+}
+
+/**
+ * One animated story map. `root` holds the view containers (the document for
+ * the standalone map page, or a <choreographed-map> element) and `config`
+ * has the shape of animationConfig.
+ *
+ *   const animator = new StoryMapAnimator(element, config);
+ *   await animator.init();
+ *   ...
+ *   animator.destroy();
+ */
+export class StoryMapAnimator {
+  constructor(root = document, config = animationConfig) {
+    this.root = root;
+    this.config = config;
+    this.slides = [];
+    this.views = null;
+    this.preload = null;
+    this.isEmbedded = false;
+    this.hashIndexLast = null;
+    this.hashIndex = null;
+    this.lifecycleIndex = null;
+    // Slide last applied, whichever way (hash or story progress)
+    this.currentIndex = 0;
+    this.loadError = null;
+    this.pluginContext = null;
+    this.reportPanel = null;
+    this.destroyed = false;
+    // Story host that opened the handshake: { window, origin }
+    this.host = null;
+    this.rejectedMessages = new Set();
+    // Functions removing the listeners added by this instance
+    this.removers = [];
+  }
+
+  /**
+   * Creates the views, loads the choreography, applies the first slide and
+   * starts listening for hash changes and story messages (unless
+   * config.hashNavigation or config.storyMessages is false) and for keys
+   * pressed within the root. Rethrows failures after showing validation
+   * errors over the map.
+   */
+  async init() {
+    try {
+      // Listen before loading, so a host's hello is answered once the slides are in
+      if (this.config.storyMessages !== false) this.listen(window, "message", (event) => this.handleMessage(event));
+      this.views = createViewRegistry(this.config, configureMap, this.root);
+      this.preload = createPreloadManager(this.views, this.config);
+      this.views.init();
+      const slides = await loadChoreography(this.config.mapChoreography, this.config);
+      if (this.destroyed) return;
+      this.slides = slides;
+      this.preload.update(0, slides);
+      // Containers created by the registry start hidden
+      this.updateCrossfadeForSlide(0);
+      const firstView = this.views.ensure(slides[0].maps?.[0] ?? 0);
+      this.pluginContext = { views: this.views, slides, animationConfig: this.config, animator: this };
+      setupChoreographyPlugins(this.pluginContext);
+      firstView.ready.then((view) => {
+        if (!view || this.destroyed) return;
+        this.applySlide(0, view, firstView.timeSlider);
+      });
+      if (this.config.hashNavigation !== false) this.listen(window, "hashchange", () => this.handleHashChange());
+      // Inside an element, only keys pressed while focus is within it
+      const keyTarget = this.root === document ? window : this.root;
+      if (this.config.keyboardNavigation !== false) this.listen(keyTarget, "keydown", (event) => this.handleKeydown(event));
+      this.sendReady();
+    } catch (err) {
+      if (err instanceof ChoreographyValidationError) this.renderChoreographyReport(err.report);
+      console.error('StoryMapAnimator init failed:', err);
+      // Tell the story now, or when it says hello
+      this.loadError = err.message;
+      this.sendReady();
+      throw err;
+    }
+  }
+
+  /**
+   * Removes every listener, watcher, plugin setup and view of this animator.
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.removers.forEach((remove) => remove());
+    this.removers = [];
+    if (this.pluginContext) teardownChoreographyPlugins(this.pluginContext);
+    this.pluginContext = null;
+    this.host = null;
+    this.preload?.destroy();
+    this.views?.destroyAll();
+    this.reportPanel?.remove();
+    this.reportPanel = null;
+    log("Story map animator destroyed");
+  }
+
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.removers.push(() => target.removeEventListener(type, handler));
+  }
+
+  /**
+   * Applies a slide to a view and, unless `notify` is false (e.g. for the
+   * second view of a crossfade), tells the story once the slide has started.
+   */
+  applySlide(index, view, timeSlider, { notify = true } = {}) {
+    this.currentIndex = index;
+    return slideAnimation(this.slides[index], view, timeSlider, this.isEmbedded, {
+      slides: this.slides,
+      slideIndex: index,
+      config: this.config,
+      navigate: (slide) => this.navigate(slide)
+    })
+      .then(() => {
+        // Skip slides already left again while their layers loaded
+        if (notify && !this.destroyed && this.currentIndex === index) this.postToHost("slideApplied", { slide: index });
+      });
+  }
+
+  /**
+   * Moves the story to a slide: asks the story host to scroll to the slide's
+   * panel when embedded, or sets the location hash when the map runs on its
+   * own (or shows the slide directly when hash navigation is off). Use it
+   * from in-map navigation such as a chapter menu.
+   */
+  navigate(slide) {
+    if (!Number.isInteger(slide) || slide < 0 || slide >= this.slides.length) {
+      console.warn(`Cannot navigate to slide ${slide} (${this.slides.length} slides)`);
+      return;
+    }
+    if (this.host) this.postToHost("navigate", { slide });
+    else if (this.config.hashNavigation !== false) window.location.hash = String(slide);
+    else this.showSlide(slide);
+  }
+
+  /**
+   * PageDown/PageUp move to the next/previous slide, unless typing in a form field.
+   */
+  handleKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    const target = event.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+    const step = { PageDown: 1, PageUp: -1 }[event.key];
+    if (!step) return;
+    const slide = this.currentIndex + step;
+    if (slide < 0 || slide >= this.slides.length) return;
+    event.preventDefault();
+    this.navigate(slide);
+  }
+
+  /**
+   * Display a choreography validation report over the map so authors can see
+   * which slides need fixing without opening the console.
+   */
+  renderChoreographyReport(report) {
+    const panel = document.createElement("div");
+    panel.className = "choreography-report";
+    panel.setAttribute("role", "alert");
+
+    const heading = document.createElement("h2");
+    heading.textContent = `Map choreography has ${report.errorCount} error(s) and ${report.warningCount} warning(s)`;
+    panel.appendChild(heading);
+
+    const list = document.createElement("ul");
+    report.slides.forEach(({ index, note, issues }) => {
+      issues.forEach((issue) => {
+        const item = document.createElement("li");
+        item.className = issue.severity;
+        item.textContent = formatChoreographyIssue(index, note, issue);
+        list.appendChild(item);
+      });
+    });
+    panel.appendChild(list);
+    (this.root === document ? document.body : this.root).appendChild(panel);
+    this.reportPanel = panel;
+  }
+
+  // Show the views of the given slide index, typically called on hash changes.
+  // Crossfade slides show their 'to' view since there is no scroll progress.
+  updateCrossfadeForSlide(index) {
+    const maps = this.slides[index].maps || [0];
+    if (maps.length > 1) {
+      this.crossfade(maps[0], maps[1], 1, this.slides[index].transition);
+    } else {
+      this.showView(maps[0]);
+    }
+  }
+
+  /**
+   * Hide every view container except the given ones.
+   */
+  hideOtherViews(...visibleIndices) {
+    this.config.maps.forEach((config, index) => {
+      if (visibleIndices.includes(index)) return;
+      const container = this.views.container(index);
+      container.classList.add("hidden");
+      container.style.opacity = "0";
+      container.style.pointerEvents = 'none';
+      clearTransition(container);
+    });
+  }
+
+  /**
+   * Show a single view, hiding all others
+   */
+  showView(mapIndex) {
+    this.views.ensure(mapIndex);
+    const container = this.views.container(mapIndex);
+    container.classList.remove("hidden");
+    container.style.opacity = "1";
+    container.style.pointerEvents = 'auto';
+    clearTransition(container);
+    this.hideOtherViews(mapIndex);
+  }
+
+  /**
+   * Scroll-driven crossfade between two maps
+   * fromMapIndex - Index in config.maps of the map to fade from
+   * toMapIndex - Index in config.maps of the map to fade to
+   * t - Progress value between 0 (fully fromMap) and 1 (fully toMap)
+   * transition - The slide's transition (type, easing, ...), see transitions.js; defaults to a fade
+   * Called frequently from scroll listener with interpolated progress
+   */
+  crossfade(fromMapIndex, toMapIndex, t, transition) {
+    const fromContainer = this.views.container(fromMapIndex);
+    const toContainer = this.views.container(toMapIndex);
+    t = Math.max(0, Math.min(1, t));
+
+    // Ensure the visible maps exist
+    if (t > 0) {
+      this.views.ensure(toMapIndex);
+      toContainer.classList.remove("hidden");
+    }
+    if (t < 1) {
+      this.views.ensure(fromMapIndex);
+      fromContainer.classList.remove("hidden");
+    }
+    this.hideOtherViews(fromMapIndex, toMapIndex);
+
+    // Style both containers for the slide's transition (opacity, clip, blur, ...)
+    const fromView = this.views.get(fromMapIndex)?.view;
+    const toView = this.views.get(toMapIndex)?.view;
+    const eased = applyTransition(fromContainer, toContainer, t, transition, { fromView });
+
+    // If fully to one map, hide the other (lenient thresholds for fades only)
+    const threshold = (transition?.type ?? "fade") === "fade" ? 0.2 : 0;
+    if (eased <= threshold) {
+      toContainer.classList.add("hidden");
+    } else if (eased >= 1 - threshold) {
+      fromContainer.classList.add("hidden");
+    }
+
+    // Pointer events to the view that covers more of the screen
+    fromContainer.style.pointerEvents = (eased < 0.5) ? 'auto' : 'none';
+    toContainer.style.pointerEvents = (eased >= 0.5) ? 'auto' : 'none';
+
+    // Sync views only during crossfade transitions (not when fully on one map)
+    if (fromView && toView && eased > 0 && eased < 1) {
+      syncViews(fromView, toView);
+    }
+  }
+
+  /**
+   * Applies the slide in the location hash (#<index>) when the map is viewed
+   * on its own. Once a story host has said hello its progress messages are
+   * the only source of the current slide, so the hash StoryMaps still sets on
+   * the frame is ignored.
+   */
+  handleHashChange() {
+    if (this.host) return;
+    this.showSlide(parseInt(window.location.hash.substring(1), 10));
+  }
+
+  /**
+   * Shows a slide outside the story's scroll progress: prepares its views,
+   * applies it and updates the crossfade.
+   */
+  showSlide(index) {
+    this.hashIndexLast = this.hashIndex;
+    this.hashIndex = index;
+    if (isNaN(this.hashIndex) || !this.slides[this.hashIndex]) return;
+
+    const slideIndex = this.hashIndex;
+    const maps = this.slides[slideIndex].maps || [0];
+
+    // Create/destroy views around this slide and preload upcoming ones before animating
+    this.preload.update(slideIndex, this.slides);
+
+    // Apply the slide to its primary view (and its time slider) once the view is ready
+    const primary = this.views.ensure(maps[0]);
+    primary.ready.then((view) => {
+      if (!view || this.destroyed || this.hashIndex !== slideIndex) return;
+      this.applySlide(slideIndex, view, primary.timeSlider);
+    });
+
+    // For crossfade slides, also apply viewpoint to the "to" view
+    if (maps.length > 1) {
+      this.views.whenView(maps[1]).then((toView) => {
+        if (!toView || this.destroyed || this.hashIndex !== slideIndex) return;
+        this.applySlide(slideIndex, toView, primary.timeSlider, { notify: false });
+      });
+    }
+
+    // Update crossfade state
+    this.updateCrossfadeForSlide(slideIndex);
+  }
+
+  /**
+   * Logs a rejected message once per reason, so a misconfigured host does not
+   * flood the console on every scroll event.
+   */
+  rejectMessage(reason) {
+    if (this.rejectedMessages.has(reason)) return;
+    this.rejectedMessages.add(reason);
+    console.warn(`Rejected story message: ${reason}`);
+  }
+
+  /**
+   * Posts a protocol message to the story host, once it has said hello.
+   */
+  postToHost(type, payload) {
+    if (!this.host) return;
+    this.host.window.postMessage(createMessage(MAP_SOURCE, type, payload), this.host.origin);
+  }
+
+  /**
+   * Completes the handshake: tells the host the protocol version and the
+   * number of slides once the choreography is loaded, or why it failed to load.
+   */
+  sendReady() {
+    if (!this.host) return;
+    if (this.loadError) {
+      this.postToHost("error", { message: this.loadError });
+      return;
+    }
+    if (!this.slides.length) return;
+    this.postToHost("ready", { slideCount: this.slides.length });
+    log(`Handshake with ${this.host.origin} complete (protocol v${PROTOCOL_VERSION}, ${this.slides.length} slides)`);
+  }
+
+  /**
+   * Handles protocol messages from the story host (see src/messageProtocol.js).
+   * Messages from origins outside config.allowedOrigins, malformed messages,
+   * progress from any window but the host and hello from a second window are
+   * rejected. Progress triggers scroll-based animations, and static slide
+   * updates when the slide index changes.
+   */
+  handleMessage(event) {
+    const { message, error, ignored } = parseMessage(event.data, HOST_SOURCE);
+    if (ignored) return;
+    if (!isAllowedOrigin(event.origin, this.config.allowedOrigins)) {
+      this.rejectMessage(`origin ${event.origin} is not allowed`);
+      return;
+    }
+    if (error) {
+      this.rejectMessage(error);
+      return;
+    }
+
+    const payload = message.payload;
+    if (message.type === "hello") {
+      // The first window to say hello is the host; others cannot take it over
+      if (this.host && event.source !== this.host.window) {
+        this.rejectMessage(`hello from ${event.origin} while another host is connected`);
+        return;
+      }
+      this.host = { window: event.source, origin: event.origin };
+      if (payload.isEmbedded !== undefined) this.isEmbedded = payload.isEmbedded;
+      this.sendReady();
+      return;
+    }
+
+    if (!this.host || event.source !== this.host.window) {
+      this.rejectMessage("progress from a window that has not sent hello");
+      return;
+    }
+    if (payload.isEmbedded !== undefined) this.isEmbedded = payload.isEmbedded;
+    // Still loading the choreography; the host waits for ready before sending progress
+    if (!this.slides.length) return;
+    if (payload.slide >= this.slides.length) {
+      this.rejectMessage(`slide ${payload.slide} is out of range (${this.slides.length} slides)`);
+      return;
+    }
+
+    const currentSlide = this.slides[payload.slide];
+    const nextSlide = this.slides[payload.slide + 1];
+
+    // Create/destroy views around a newly reached slide and preload upcoming ones, even before its view is ready
+    if (payload.slide !== this.lifecycleIndex) {
+      this.lifecycleIndex = payload.slide;
+      this.preload.update(payload.slide, this.slides);
+    }
+
+    // Determine the active view and timeslider based on the slide's maps array
+    const primary = this.views.ensure(currentSlide.maps?.[0] ?? 0);
+    const activeView = primary.view;
+    const activeTimeSlider = primary.timeSlider;
+    // The view is still loading; the next progress message will animate it
+    if (!activeView) return;
+
+    // Scroll-based animation
+    scrollAnimation(currentSlide, nextSlide, payload.progress, activeView, activeTimeSlider, this.slides, payload.slide, {
+      embedded: this.isEmbedded,
+      config: this.config
+    });
+    // Scroll-based crossfade
+    if (currentSlide.maps && currentSlide.maps.length > 1) {
+      const fromMap = currentSlide.maps[0];
+      const toMap = currentSlide.maps[1];
+      this.crossfade(fromMap, toMap, payload.progress, currentSlide.transition);
+    }
+
+    // Slide change detection
+    if (payload.slide !== this.hashIndexLast) {
+      this.hashIndexLast = payload.slide;
+      this.applySlide(payload.slide, activeView, activeTimeSlider); // using isEmbedded to mute some property changes when viewed in embed
+    }
+  }
+}
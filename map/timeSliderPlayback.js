@@ -0,0 +1,97 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+export const FINISH_ACTIONS = ["stop", "reset", "nextSlide"];
+export const FINISH_EVENT = "timesliderfinish";
+
+// Per time slider element: the playback started by the current slide
+const activePlayback = new WeakMap();
+// Time slider elements whose state changes are already being listened to
+const listening = new WeakSet();
+
+/**
+ * Applies a slide's play rate and loop setting to the time slider and starts
+ * playback. When playback reaches the end (only possible without loop) the
+ * slide's finish action runs ("stop" holds the last frame, "reset" returns to
+ * the first frame, "nextSlide" moves to the slide after `slideIndex` through
+ * `navigate`) and a `timesliderfinish` event is dispatched on window with
+ * { slide, action } as detail, so pages can hook their own callback.
+ */
+export function playTimeSlider(timeSlider, slideData, { playRate, loop = false, onFinish = "stop", slideIndex, navigate } = {}) {
+  if (playRate !== undefined) timeSlider.playRate = Number(playRate);
+  timeSlider.loop = loop;
+
+  if (!listening.has(timeSlider)) {
+    listening.add(timeSlider);
+    timeSlider.addEventListener("arcgisPropertyChange", (event) => {
+      if (event.detail?.name === "state") handleStateChange(timeSlider);
+    });
+  }
+
+  activePlayback.set(timeSlider, { slideData, slideIndex, navigate, onFinish, initialExtent: timeSlider.timeExtent, playing: true });
+  timeSlider.play();
+}
+
+/**
+ * Stops the time slider and forgets the playback of the previous slide so its
+ * finish action does not run.
+ */
+export function stopTimeSlider(timeSlider) {
+  activePlayback.delete(timeSlider);
+  timeSlider.stop();
+}
+
+function handleStateChange(timeSlider) {
+  const playback = activePlayback.get(timeSlider);
+  if (!playback?.playing || timeSlider.state === "playing") return;
+  playback.playing = false;
+
+  // The slider also leaves "playing" when stopped by hand; only act at the end
+  const end = timeSlider.fullTimeExtent?.end;
+  const current = timeSlider.timeExtent?.end ?? timeSlider.timeExtent?.start;
+  if (!end || !current || new Date(current).getTime() < new Date(end).getTime()) return;
+
+  log(`Time slider playback finished, running '${playback.onFinish}'.`);
+  runFinishAction(timeSlider, playback);
+  window.dispatchEvent(new CustomEvent(FINISH_EVENT, {
+    detail: { slide: playback.slideData, action: playback.onFinish }
+  }));
+}
+
+function runFinishAction(timeSlider, playback) {
+  switch (playback.onFinish) {
+    case "reset":
+      // Return to the slide's first frame and stay there
+      timeSlider.timeExtent = playback.initialExtent;
+      break;
+    case "nextSlide": {
+      // Without a navigate callback, slides are driven by the hash (none on slide 0)
+      const hashIndex = parseInt(window.location.hash.substring(1), 10);
+      const index = playback.slideIndex ?? (Number.isNaN(hashIndex) ? 0 : hashIndex);
+      if (playback.navigate) playback.navigate(index + 1);
+      else window.location.hash = String(index + 1);
+      break;
+    }
+    default:
+      // "stop": hold the last frame
+      break;
+  }
+}
@@ -0,0 +1,273 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Calendar-aware time stepping shared by the slide (toggleTimeSlider) and
+// scroll (interpolateTimeSlider) paths.
+//
+// Units up to hours are fixed lengths of time. Days and weeks keep the wall
+// clock time in the configured time zone (so a day is 23 or 25 hours across a
+// DST change) and months, years, decades and centuries step through the
+// calendar, clamping to the last day of shorter months.
+
+export const SNAP_MODES = ["floor", "round", "ceil", "none"];
+export const TIME_SLIDER_MODES = ["instant", "time-window", "cumulative-from-start", "cumulative-from-end"];
+
+// Upper bound on generated slider stops before falling back to an interval
+const MAX_STOPS = 5000;
+
+const FIXED_UNIT_MS = {
+  milliseconds: 1,
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000
+};
+
+const CALENDAR_UNITS = {
+  days: { days: 1 },
+  weeks: { days: 7 },
+  months: { months: 1 },
+  years: { months: 12 },
+  decades: { months: 120 },
+  centuries: { months: 1200 }
+};
+
+// Average unit lengths, only used to estimate how many steps fit in a span
+const AVERAGE_UNIT_MS = {
+  ...FIXED_UNIT_MS,
+  days: 864e5,
+  weeks: 7 * 864e5,
+  months: 30.436875 * 864e5,
+  years: 365.2425 * 864e5,
+  decades: 3652.425 * 864e5,
+  centuries: 36524.25 * 864e5
+};
+
+/**
+ * Reads the time settings of a slide's timeSlider entry, falling back to the
+ * timeZone/timeSnap defaults of animationConfig.
+ */
+export function getSlideTimeOptions(timeSliderData, defaults = {}) {
+  return {
+    start: new Date(timeSliderData.timeSliderStart),
+    end: new Date(timeSliderData.timeSliderEnd),
+    step: timeSliderData.timeSliderStep,
+    unit: timeSliderData.timeSliderUnit,
+    snap: timeSliderData.timeSliderSnap ?? defaults.timeSnap ?? "ceil",
+    timeZone: timeSliderData.timeSliderTimeZone ?? defaults.timeZone ?? "UTC",
+    origin: new Date(timeSliderData.stepOrigin ?? timeSliderData.timeSliderStart),
+    mode: timeSliderData.timeSliderMode ?? "cumulative-from-start",
+    // Width of the window in time-window mode; one step unless configured
+    window: timeSliderData.timeSliderWindow ?? { value: timeSliderData.timeSliderStep, unit: timeSliderData.timeSliderUnit }
+  };
+}
+
+/**
+ * Returns true when timeZone is "UTC", "local" or an IANA zone Intl understands.
+ */
+export function isValidTimeZone(timeZone) {
+  if (timeZone === "UTC" || timeZone === "local") return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric"
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall clock fields of an instant in a time zone.
+ */
+function toWallClock(ms, timeZone) {
+  if (timeZone === "UTC") {
+    const d = new Date(ms);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate(), hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(), millisecond: d.getUTCMilliseconds() };
+  }
+  if (timeZone === "local") {
+    const d = new Date(ms);
+    return { year: d.getFullYear(), month: d.getMonth(), day: d.getDate(), hour: d.getHours(), minute: d.getMinutes(), second: d.getSeconds(), millisecond: d.getMilliseconds() };
+  }
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(ms)).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    millisecond: ((ms % 1000) + 1000) % 1000
+  };
+}
+
+/**
+ * Instant of a wall clock time in a time zone. For wall times skipped by a DST
+ * change the later valid instant is returned.
+ */
+function fromWallClock(wall, timeZone) {
+  const { year, month, day, hour, minute, second, millisecond } = wall;
+  if (timeZone === "local") return new Date(year, month, day, hour, minute, second, millisecond).getTime();
+  const asUTC = Date.UTC(year, month, day, hour, minute, second, millisecond);
+  if (timeZone === "UTC") return asUTC;
+
+  // Iterate on the zone offset: guess, measure the offset at the guess, correct
+  let ms = asUTC;
+  for (let i = 0; i < 3; i++) {
+    const w = toWallClock(ms, timeZone);
+    const offset = Date.UTC(w.year, w.month, w.day, w.hour, w.minute, w.second, w.millisecond) - ms;
+    const next = asUTC - offset;
+    if (next === ms) break;
+    ms = next;
+  }
+  return ms;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Adds `count` steps of `value` `unit` to a date and returns the new Date.
+ * Always computed from the given date (not by repeated addition) so month
+ * ends do not drift: Jan 31 + 1 month is Feb 28/29, + 2 months is Mar 31.
+ */
+export function addTime(date, value, unit, timeZone = "UTC", count = 1) {
+  const ms = date instanceof Date ? date.getTime() : Number(date);
+  const amount = value * count;
+
+  if (FIXED_UNIT_MS[unit]) return new Date(ms + amount * FIXED_UNIT_MS[unit]);
+
+  const calendar = CALENDAR_UNITS[unit];
+  if (!calendar) throw new Error(`Unknown time unit '${unit}'`);
+
+  const wall = toWallClock(ms, timeZone);
+  if (calendar.days) {
+    // Day arithmetic on a UTC calendar keeps the wall clock time across DST changes
+    const shifted = new Date(Date.UTC(wall.year, wall.month, wall.day + amount * calendar.days));
+    return new Date(fromWallClock({ ...wall, year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate() }, timeZone));
+  }
+
+  const totalMonths = wall.year * 12 + wall.month + amount * calendar.months;
+  const year = Math.floor(totalMonths / 12);
+  const month = totalMonths - year * 12;
+  const day = Math.min(wall.day, daysInMonth(year, month));
+  return new Date(fromWallClock({ ...wall, year, month, day }, timeZone));
+}
+
+/**
+ * Index of the last stop at or before `time`, where stop k = origin + k steps.
+ */
+function floorStepIndex(originMs, timeMs, value, unit, timeZone) {
+  let k = Math.floor((timeMs - originMs) / (value * AVERAGE_UNIT_MS[unit]));
+  // The estimate is exact for fixed units and off by at most a step or two otherwise
+  while (k > 0 && addTime(originMs, value, unit, timeZone, k).getTime() > timeMs) k--;
+  while (addTime(originMs, value, unit, timeZone, k + 1).getTime() <= timeMs) k++;
+  return Math.max(0, k);
+}
+
+/**
+ * Snaps a time to the stops origin + k * (value unit).
+ * mode: "floor" (stop at or before), "ceil" (stop at or after), "round"
+ * (nearest stop) or "none" (unchanged).
+ */
+export function snapTime(time, origin, value, unit, { mode = "ceil", timeZone = "UTC" } = {}) {
+  const timeMs = time instanceof Date ? time.getTime() : Number(time);
+  const originMs = origin instanceof Date ? origin.getTime() : Number(origin);
+  if (mode === "none" || !(value > 0) || !AVERAGE_UNIT_MS[unit] || timeMs <= originMs) return new Date(timeMs);
+
+  const k = floorStepIndex(originMs, timeMs, value, unit, timeZone);
+  const lower = addTime(originMs, value, unit, timeZone, k).getTime();
+  if (lower === timeMs || mode === "floor") return new Date(lower);
+  const upper = addTime(originMs, value, unit, timeZone, k + 1).getTime();
+  if (mode === "ceil") return new Date(upper);
+  return new Date(timeMs - lower < upper - timeMs ? lower : upper);
+}
+
+/**
+ * Time at `progress` (0–1) between start and end, snapped to the steps of the
+ * time slider and clamped to [start, end]. `origin` (defaults to start) is
+ * the first stop, so sub-ranges of a slide keep the slide's stops.
+ */
+export function timeAtProgress(start, end, progress, { step, unit, snap = "ceil", timeZone = "UTC", origin = start } = {}) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  const p = Math.max(0, Math.min(1, Number(progress) || 0));
+  const interpolated = startMs + (endMs - startMs) * p;
+  const snapped = snapTime(interpolated, new Date(origin), step, unit, { mode: snap, timeZone }).getTime();
+  return new Date(Math.min(Math.max(snapped, startMs), endMs));
+}
+
+/**
+ * All stops from start to end (inclusive of start, and of end when it falls on
+ * a step). Returns null when there would be more than MAX_STOPS, in which case
+ * callers should fall back to an interval.
+ */
+export function getTimeStops(start, end, step, unit, timeZone = "UTC") {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  if (!(step > 0) || !AVERAGE_UNIT_MS[unit] || endMs < startMs) return null;
+  if ((endMs - startMs) / (step * AVERAGE_UNIT_MS[unit]) > MAX_STOPS) return null;
+
+  const stops = [];
+  for (let k = 0; ; k++) {
+    const stop = addTime(startMs, step, unit, timeZone, k);
+    if (stop.getTime() > endMs) break;
+    stops.push(stop);
+  }
+  return stops;
+}
+
+/**
+ * Time extent shown at `progress` for the slide's mode:
+ * - cumulative-from-start: everything up to the current time
+ * - cumulative-from-end: everything from the current time on
+ * - instant: only the current time
+ * - time-window: a window of fixed width that slides from [start, start + width]
+ *   at progress 0 to [end - width, end] at progress 1
+ */
+export function timeExtentAtProgress(options, progress) {
+  const { start, end, mode, window } = options;
+  if (mode === "time-window") {
+    const latestStart = addTime(end, -window.value, window.unit, options.timeZone);
+    if (latestStart.getTime() <= start.getTime()) return { start, end };
+    const windowStart = timeAtProgress(start, latestStart, progress, options);
+    const windowEnd = addTime(windowStart, window.value, window.unit, options.timeZone);
+    return { start: windowStart, end: new Date(Math.min(windowEnd.getTime(), end.getTime())) };
+  }
+
+  const time = timeAtProgress(start, end, progress, options);
+  if (mode === "instant") return { start: time, end: time };
+  if (mode === "cumulative-from-end") return { start: time, end: null };
+  return { start: null, end: time };
+}
@@ -0,0 +1,136 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import TrackInfo from "@arcgis/core/layers/support/TrackInfo.js";
+
+import { resolveLayers, describeLayerReference } from "./layerUtils.js";
+import { interpolateRenderer } from "./rendererUtils.js";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+// Track parts whose renderers can be restyled while scrolling
+const TRACK_PARTS = ["latestObservations", "previousObservations", "trackLines"];
+const INTERPOLATED_VARIABLES = ["size", "color", "opacity"];
+
+// Per slide: { key, trackInfo } built once so re-entering a slide is instant
+const slideTrackCache = new WeakMap();
+// Per layer: the timeInfo it had before any slide changed it, and the config key last applied
+const originalTimeInfo = new WeakMap();
+const appliedTrackKey = new WeakMap();
+// Per layer: the last scroll-interpolated track styling applied
+const appliedTrackStyle = new WeakMap();
+
+/**
+ * Returns the cached track configuration of a slide, building the TrackInfo
+ * and a key describing the whole configuration the first time it is needed.
+ */
+function getSlideTrackConfig(slideData) {
+  let config = slideTrackCache.get(slideData);
+  if (!config) {
+    const { trackRenderer, timeSlider } = slideData;
+    config = {
+      key: JSON.stringify({
+        trackFieldName: trackRenderer.trackFieldName,
+        unit: timeSlider?.timeSliderUnit,
+        step: timeSlider?.timeSliderStep,
+        trackInfo: trackRenderer.trackInfo
+      }),
+      trackInfo: new TrackInfo(trackRenderer.trackInfo),
+      timeInfoByLayer: new WeakMap()
+    };
+    slideTrackCache.set(slideData, config);
+  }
+  return config;
+}
+
+/**
+ * Builds (and caches per slide and layer) the layer's timeInfo with the slide's
+ * track id field and interval, keeping every other property of the layer's
+ * original timeInfo (start/end fields, full extent).
+ */
+function getSlideTimeInfo(config, layer, slideData) {
+  let timeInfo = config.timeInfoByLayer.get(layer);
+  if (!timeInfo) {
+    if (!originalTimeInfo.has(layer)) originalTimeInfo.set(layer, layer.timeInfo.clone());
+    timeInfo = originalTimeInfo.get(layer).clone();
+    timeInfo.trackIdField = slideData.trackRenderer.trackFieldName;
+    timeInfo.interval = {
+      unit: slideData.timeSlider.timeSliderUnit,
+      value: slideData.timeSlider.timeSliderStep
+    };
+    config.timeInfoByLayer.set(layer, timeInfo);
+  }
+  return timeInfo;
+}
+
+/**
+ * Applies a slide's trackRenderer to its layer in place: the layer keeps its
+ * layerView and loaded features, and only timeInfo/trackInfo are swapped.
+ * When the layer already shows the same configuration nothing is changed.
+ * Ensures the layer is visible.
+ */
+export async function applyTrackRenderer(view, slideData) {
+  const trackLayer = resolveLayers(view, slideData.trackRenderer.trackLayerName)[0];
+  if (!trackLayer) return;
+
+  await trackLayer.load(); // No-op once the layer has loaded
+  trackLayer.visible = true; // Make the layer visible
+
+  const config = getSlideTrackConfig(slideData);
+  if (appliedTrackKey.get(trackLayer) === config.key && !appliedTrackStyle.has(trackLayer)) {
+    log("Track renderer unchanged, skipping.");
+    return;
+  }
+
+  trackLayer.timeInfo = getSlideTimeInfo(config, trackLayer, slideData);
+  // Clone so scroll styling never writes back into the cached TrackInfo
+  trackLayer.trackInfo = config.trackInfo.clone();
+  appliedTrackKey.set(trackLayer, config.key);
+  appliedTrackStyle.delete(trackLayer);
+  log("Track renderer applied.", trackLayer.trackInfo);
+}
+
+/**
+ * Restyles the track of the current slide towards the next slide's track
+ * styling for the same layer by interpolating the visual variables (e.g. the
+ * size of the latest observations) of each track part's renderer. Nothing is
+ * reloaded; only the renderers on the layer's trackInfo are replaced.
+ */
+export function interpolateTrackStyle(view, slideCurrent, slideNext, progress) {
+  const current = slideCurrent.trackRenderer;
+  const next = slideNext?.trackRenderer;
+  if (!next || describeLayerReference(next.trackLayerName) !== describeLayerReference(current.trackLayerName)) return;
+
+  const trackLayer = resolveLayers(view, current.trackLayerName)[0];
+  if (!trackLayer?.trackInfo || appliedTrackKey.get(trackLayer) !== getSlideTrackConfig(slideCurrent).key) return;
+
+  const rounded = Number(Number(progress).toFixed(3));
+  const lastStyle = appliedTrackStyle.get(trackLayer);
+  if (lastStyle?.slideNext === slideNext && lastStyle.progress === rounded) return;
+  appliedTrackStyle.set(trackLayer, { slideNext, progress: rounded });
+
+  TRACK_PARTS.forEach((part) => {
+    const fromRenderer = current.trackInfo?.[part]?.renderer;
+    const toRenderer = next.trackInfo?.[part]?.renderer;
+    if (!fromRenderer || !toRenderer || !trackLayer.trackInfo[part]) return;
+    // Only parts with size/color/opacity variables change; skip rebuilding the others
+    if (!fromRenderer.visualVariables?.some((variable) => INTERPOLATED_VARIABLES.includes(variable.type))) return;
+    trackLayer.trackInfo[part].renderer = interpolateRenderer(fromRenderer, toRenderer, rounded);
+  });
+}
@@ -0,0 +1,139 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Styles for the scroll-driven transition between the two views of a
+// crossfade slide (maps: [from, to]), chosen with the slide's `transition` key:
+//
+//   { "type": "fade" }                                   opacity crossfade (default)
+//   { "type": "swipe", "direction": "left" }             the next view slides in over the current one
+//   { "type": "reveal", "center": [0.5, 0.4] }           circle growing from a point of the screen,
+//   { "type": "reveal", "point": { "x": .., "y": .., "spatialReference": .. } }   or of the map
+//   { "type": "dissolve", "blur": 12, "zoom": 1.15 }     blur and zoom through a crossfade
+//
+// Every transition accepts an `easing` (curve or { curve, range }, see easing.js).
+
+import { easeProgress } from "./easing.js";
+
+export const TRANSITION_TYPES = ["fade", "swipe", "reveal", "dissolve"];
+export const SWIPE_DIRECTIONS = ["left", "right", "up", "down"];
+
+const DEFAULT_BLUR_PX = 12;
+const DEFAULT_ZOOM = 1.15;
+const STYLED_PROPERTIES = ["clipPath", "filter", "transform", "zIndex"];
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+function resetStyles(container) {
+  STYLED_PROPERTIES.forEach((property) => {
+    container.style[property] = "";
+  });
+}
+
+/**
+ * clip-path inset for a swipe: the edge the next view enters from moves
+ * across the screen in `direction`.
+ */
+function swipeInset(direction, t) {
+  const hidden = `${((1 - t) * 100).toFixed(3)}%`;
+  switch (direction) {
+    case "right": return `inset(0 ${hidden} 0 0)`;
+    case "up": return `inset(${hidden} 0 0 0)`;
+    case "down": return `inset(0 0 ${hidden} 0)`;
+    default: return `inset(0 0 0 ${hidden})`;
+  }
+}
+
+/**
+ * Screen position (px within the container) the reveal circle grows from.
+ */
+function revealCenter(transition, container, fromView) {
+  const width = container.clientWidth;
+  const height = container.clientHeight;
+  if (transition.point && fromView?.toScreen) {
+    const screenPoint = fromView.toScreen({ type: "point", ...transition.point });
+    if (screenPoint) return [screenPoint.x, screenPoint.y];
+  }
+  const [fx, fy] = Array.isArray(transition.center) ? transition.center : [0.5, 0.5];
+  return [fx * width, fy * height];
+}
+
+/**
+ * Styles the two containers for progress t (0 = only `from`, 1 = only `to`)
+ * of the slide's transition. Returns the eased progress so callers can base
+ * visibility and pointer events on what is actually shown.
+ */
+export function applyTransition(fromContainer, toContainer, t, transition = {}, { fromView } = {}) {
+  const type = transition.type ?? "fade";
+  const eased = easeProgress(t, transition.easing ?? "linear");
+
+  resetStyles(fromContainer);
+  resetStyles(toContainer);
+  // At either end only one view shows, so leave no clip, blur or transform behind
+  if (eased <= 0 || eased >= 1 || type === "fade") {
+    fromContainer.style.opacity = String(1 - eased);
+    toContainer.style.opacity = String(eased);
+    return eased;
+  }
+
+  switch (type) {
+    case "swipe":
+      fromContainer.style.opacity = "1";
+      toContainer.style.opacity = "1";
+      toContainer.style.zIndex = "1";
+      toContainer.style.clipPath = swipeInset(transition.direction, eased);
+      break;
+
+    case "reveal": {
+      const [cx, cy] = revealCenter(transition, toContainer, fromView);
+      const width = toContainer.clientWidth;
+      const height = toContainer.clientHeight;
+      // Radius that covers the farthest corner, so the circle ends full screen
+      const radius = Math.max(Math.hypot(cx, cy), Math.hypot(width - cx, cy), Math.hypot(cx, height - cy), Math.hypot(width - cx, height - cy));
+      fromContainer.style.opacity = "1";
+      toContainer.style.opacity = "1";
+      toContainer.style.zIndex = "1";
+      toContainer.style.clipPath = `circle(${(eased * radius).toFixed(1)}px at ${cx.toFixed(1)}px ${cy.toFixed(1)}px)`;
+      break;
+    }
+
+    case "dissolve": {
+      const blur = transition.blur ?? DEFAULT_BLUR_PX;
+      const zoom = transition.zoom ?? DEFAULT_ZOOM;
+      // The current view pushes in and blurs out while the next one settles from zoomed out to sharp
+      fromContainer.style.opacity = String(1 - eased);
+      fromContainer.style.filter = `blur(${(eased * blur).toFixed(2)}px)`;
+      fromContainer.style.transform = `scale(${lerp(1, zoom, eased).toFixed(4)})`;
+      toContainer.style.opacity = String(eased);
+      toContainer.style.filter = `blur(${((1 - eased) * blur).toFixed(2)}px)`;
+      toContainer.style.transform = `scale(${lerp(1 / zoom, 1, eased).toFixed(4)})`;
+      break;
+    }
+
+    default:
+      fromContainer.style.opacity = String(1 - eased);
+      toContainer.style.opacity = String(eased);
+  }
+  return eased;
+}
+
+/**
+ * Removes the transition styles from a container, e.g. when its view is shown alone.
+ */
+export function clearTransition(container) {
+  resetStyles(container);
+}
@@ -0,0 +1,840 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+import { resolveEasing } from "./easing.js";
+import { KEYFRAME_KEYS } from "./keyframes.js";
+import { getChoreographyPlugin } from "./plugins.js";
+import { parseLayerReference, compileLayerPattern, describeLayerReference } from "./layerUtils.js";
+import { parseEffect } from "./featureFilter.js";
+import { SNAP_MODES, TIME_SLIDER_MODES, isValidTimeZone } from "./timeUtils.js";
+import { FINISH_ACTIONS } from "./timeSliderPlayback.js";
+import { WEATHER_TYPES, WEATHER_NUMBERS } from "./environment.js";
+import { parseColor } from "./rendererUtils.js";
+import { TRANSITION_TYPES, SWIPE_DIRECTIONS } from "./transitions.js";
+
+/**
+ * Time units accepted by the time slider stops and track layer timeInfo intervals.
+ */
+export const TIME_UNITS = [
+  "milliseconds",
+  "seconds",
+  "minutes",
+  "hours",
+  "days",
+  "weeks",
+  "months",
+  "years",
+  "decades",
+  "centuries"
+];
+
+// --- Schema ---
+// A small subset of JSON Schema (type, properties, additionalProperties,
+// required, items, enum, minimum, maximum, minItems, maxItems) is enough to
+// describe every choreography key.
+
+const spatialReferenceSchema = {
+  type: "object",
+  properties: {
+    wkid: { type: "integer" },
+    latestWkid: { type: "integer" },
+    wkt: { type: "string" }
+  }
+};
+
+const cameraSchema = {
+  type: "object",
+  required: ["position"],
+  properties: {
+    position: {
+      type: "object",
+      required: ["x", "y"],
+      properties: {
+        spatialReference: spatialReferenceSchema,
+        x: { type: "number" },
+        y: { type: "number" },
+        z: { type: "number" }
+      }
+    },
+    heading: { type: "number" },
+    tilt: { type: "number", minimum: 0, maximum: 180 },
+    fov: { type: "number", minimum: 1, maximum: 170 }
+  }
+};
+
+// Layer references are titles or "id:"/"pattern:"/"path:" strings, or { id | title | pattern | path } objects
+const layerListSchema = { type: "array", items: { type: ["string", "object"] } };
+
+// Shared by a slide's timeSlider and the timeline of layerTime entries
+const timeSliderSchema = {
+  type: "object",
+  required: ["timeSliderStart", "timeSliderEnd", "timeSliderUnit", "timeSliderStep"],
+  properties: {
+    timeSliderStart: { type: "string" },
+    timeSliderEnd: { type: "string" },
+    timeSliderUnit: { type: "string" },
+    timeSliderStep: { type: "number", minimum: 0 },
+    timeSliderSnap: { type: "string", enum: SNAP_MODES },
+    timeSliderTimeZone: { type: "string" },
+    timeSliderMode: { type: "string", enum: TIME_SLIDER_MODES },
+    timeSliderWindow: {
+      type: "object",
+      required: ["value", "unit"],
+      properties: {
+        value: { type: "number", minimum: 0 },
+        unit: { type: "string" }
+      }
+    },
+    timeSliderPlayRate: { type: "number", minimum: 1 },
+    timeSliderLoop: { type: "boolean" },
+    timeSliderOnFinish: { type: "string", enum: FINISH_ACTIONS }
+  }
+};
+
+/**
+ * Schema for each choreography key a slide may carry. Keys not listed here
+ * are reported as warnings since no handler will ever pick them up.
+ */
+export const slideSchema = {
+  type: "object",
+  properties: {
+    note: { type: "string" },
+    maps: { type: "array", minItems: 1, maxItems: 2, items: { type: "integer", minimum: 0 } },
+    camera: cameraSchema,
+    viewpoint: {
+      type: "object",
+      properties: {
+        rotation: { type: "number" },
+        scale: { type: "number", minimum: 0 },
+        targetGeometry: {
+          type: "object",
+          required: ["xmin", "ymin", "xmax", "ymax"],
+          properties: {
+            spatialReference: spatialReferenceSchema,
+            xmin: { type: "number" },
+            ymin: { type: "number" },
+            xmax: { type: "number" },
+            ymax: { type: "number" }
+          }
+        },
+        camera: cameraSchema,
+        path: { type: "string", enum: ["linear", "spline", "flyTo"] }
+      }
+    },
+    layerVisibility: {
+      type: "object",
+      properties: {
+        layersOn: layerListSchema,
+        layersOff: layerListSchema
+      }
+    },
+    layerOpacity: {
+      type: "object",
+      additionalProperties: { type: "number", minimum: 0, maximum: 1 }
+    },
+    layerRenderer: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["layer", "renderer"],
+        properties: {
+          layer: { type: ["string", "object"] },
+          renderer: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string" },
+              visualVariables: { type: "array", items: { type: "object", required: ["type"] } }
+            }
+          }
+        }
+      }
+    },
+    featureFilter: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["layer"],
+        properties: {
+          layer: { type: ["string", "object"] },
+          definitionExpression: { type: ["string", "null"] },
+          filter: {
+            type: ["object", "null"],
+            properties: {
+              where: { type: "string" },
+              objectIds: { type: "array", items: { type: "integer" } },
+              geometry: { type: "object" },
+              spatialRelationship: { type: "string" },
+              distance: { type: "number", minimum: 0 },
+              units: { type: "string" }
+            }
+          },
+          effect: {
+            type: ["object", "null"],
+            properties: {
+              includedEffect: { type: ["string", "array"] },
+              excludedEffect: { type: ["string", "array"] },
+              strength: { type: "number", minimum: 0, maximum: 1 }
+            }
+          }
+        }
+      }
+    },
+    timeSlider: timeSliderSchema,
+    layerTime: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["layer"],
+        properties: {
+          layer: { type: ["string", "object"] },
+          useViewTime: { type: "boolean" },
+          timeOffset: {
+            type: ["object", "null"],
+            required: ["value", "unit"],
+            properties: {
+              value: { type: "number" },
+              unit: { type: "string" }
+            }
+          },
+          timeExtent: {
+            type: ["object", "null"],
+            properties: {
+              start: { type: ["string", "null"] },
+              end: { type: ["string", "null"] }
+            }
+          },
+          timeline: timeSliderSchema
+        }
+      }
+    },
+    trackRenderer: {
+      type: "object",
+      required: ["trackLayerName", "trackFieldName", "trackInfo"],
+      properties: {
+        trackLayerName: { type: "string" },
+        trackFieldName: { type: "string" },
+        trackInfo: { type: "object" }
+      }
+    },
+    easing: { type: "object" },
+    transition: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: TRANSITION_TYPES },
+        direction: { type: "string", enum: SWIPE_DIRECTIONS },
+        center: { type: "array", minItems: 2, maxItems: 2, items: { type: "number", minimum: 0, maximum: 1 } },
+        point: {
+          type: "object",
+          required: ["x", "y"],
+          properties: {
+            x: { type: "number" },
+            y: { type: "number" },
+            spatialReference: spatialReferenceSchema
+          }
+        },
+        blur: { type: "number", minimum: 0 },
+        zoom: { type: "number", minimum: 1 },
+        easing: { type: ["string", "array", "object"] }
+      }
+    },
+    keyframes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["at"],
+        properties: {
+          at: { type: "number", minimum: 0, maximum: 1 },
+          time: { type: "string" }
+        }
+      }
+    },
+    environment: {
+      type: "object",
+      properties: {
+        lighting: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["sun", "virtual"] },
+            datetime: { type: "string" },
+            displayUTCOffset: { type: "number" },
+            sun: {
+              type: "object",
+              required: ["azimuth", "altitude"],
+              properties: {
+                azimuth: { type: "number", minimum: 0, maximum: 360 },
+                altitude: { type: "number", minimum: -90, maximum: 90 }
+              }
+            },
+            directShadowsEnabled: { type: "boolean" },
+            cameraTrackingEnabled: { type: "boolean" },
+            ambientOcclusionEnabled: { type: "boolean" }
+          }
+        },
+        atmosphereEnabled: { type: "boolean" },
+        starsEnabled: { type: "boolean" },
+        weather: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: WEATHER_TYPES },
+            cloudCover: { type: "number", minimum: 0, maximum: 1 },
+            precipitation: { type: "number", minimum: 0, maximum: 1 },
+            fogStrength: { type: "number", minimum: 0, maximum: 1 },
+            snowCover: { type: "string", enum: ["enabled", "disabled"] }
+          }
+        },
+        background: {
+          type: ["object", "null"],
+          required: ["color"],
+          properties: {
+            color: { type: ["string", "array"] }
+          }
+        },
+        ground: {
+          type: "object",
+          properties: {
+            opacity: { type: "number", minimum: 0, maximum: 1 },
+            surfaceColor: { type: ["string", "array"] },
+            navigationConstraint: { type: "string", enum: ["stayAbove", "none"] }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Keyframes carry the same viewpoint, environment and layerOpacity blocks as a slide
+slideSchema.properties.keyframes.items.properties.viewpoint = slideSchema.properties.viewpoint;
+slideSchema.properties.keyframes.items.properties.environment = slideSchema.properties.environment;
+slideSchema.properties.keyframes.items.properties.layerOpacity = slideSchema.properties.layerOpacity;
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some((t) => matchesType(value, t));
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Checks a value against a schema node, pushing an error issue for every mismatch.
+ * Object properties without a schema entry (and no additionalProperties schema)
+ * are allowed so slides can carry extra SDK properties (e.g. trackInfo
+ * renderers) without being rejected.
+ */
+function checkSchema(value, schema, path, issues) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(" or ") : schema.type;
+    issues.push(error(path, `expected ${expected} but found ${typeOf(value)}`));
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push(error(path, `'${value}' is not one of ${schema.enum.join(", ")}`));
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push(error(path, `${value} is below the minimum of ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push(error(path, `${value} is above the maximum of ${schema.maximum}`));
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push(error(path, `expected at least ${schema.minItems} item(s)`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      issues.push(error(path, `expected at most ${schema.maxItems} item(s)`));
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, issues));
+    }
+  }
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) issues.push(error(`${path}.${key}`, "is required"));
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (propertySchema && propertyValue !== undefined) checkSchema(propertyValue, propertySchema, `${path}.${key}`, issues);
+    });
+  }
+}
+
+function error(path, message) {
+  return { severity: "error", path, message };
+}
+
+function warning(path, message) {
+  return { severity: "warning", path, message };
+}
+
+// --- Semantic checks ---
+
+// Strict ISO 8601 date-time; hour 24 and other values some browsers roll over are rejected.
+const ISO_DATE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?)?$/;
+
+/**
+ * Parses a choreography date string, returning null when it is not a strict
+ * ISO 8601 date or does not resolve to a real date.
+ */
+export function parseChoreographyDate(value) {
+  if (typeof value !== "string" || !ISO_DATE.test(value)) return null;
+  // Reject calendar overflow such as 1943-02-30 which Date silently rolls forward
+  const [year, month, day] = value.slice(0, 10).split("-").map(Number);
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function checkDate(value, path, issues) {
+  if (value === undefined) return null;
+  const date = parseChoreographyDate(value);
+  if (!date) issues.push(error(path, `'${value}' is not a valid ISO 8601 date`));
+  return date;
+}
+
+function checkMaps(slide, config, issues) {
+  if (!Array.isArray(slide.maps)) return;
+  slide.maps.forEach((mapIndex, i) => {
+    if (Number.isInteger(mapIndex) && !config?.maps?.[mapIndex]) {
+      issues.push(error(`maps[${i}]`, `map index ${mapIndex} is not defined in animationConfig.maps`));
+    }
+  });
+}
+
+function checkViewpoint(slide, config, issues) {
+  const viewpoint = slide.viewpoint;
+  if (!viewpoint || typeOf(viewpoint) !== "object") return;
+  if (!viewpoint.targetGeometry && !viewpoint.camera) {
+    issues.push(error("viewpoint", "requires either a targetGeometry or a camera"));
+  }
+  const extent = viewpoint.targetGeometry;
+  if (extent && (extent.xmin >= extent.xmax || extent.ymin >= extent.ymax)) {
+    issues.push(error("viewpoint.targetGeometry", "xmin/ymin must be smaller than xmax/ymax"));
+  }
+  if (viewpoint.path === "spline" && !viewpoint.camera) {
+    issues.push(warning("viewpoint.path", "spline paths only apply to slides with a camera"));
+  }
+  if (viewpoint.path === "flyTo" && !viewpoint.targetGeometry) {
+    issues.push(warning("viewpoint.path", "flyTo paths only apply to slides with a targetGeometry extent"));
+  }
+  const primaryMap = Array.isArray(slide.maps) ? config?.maps?.[slide.maps[0]] : null;
+  if ((viewpoint.camera || slide.camera) && primaryMap && primaryMap.type !== "webscene" && !slide.maps.some((i) => config.maps[i]?.type === "webscene")) {
+    issues.push(warning("viewpoint.camera", "camera is only applied to scene views but this slide only shows 2D maps"));
+  }
+}
+
+function checkTimeSlider(slide, issues) {
+  checkTimeRange(slide.timeSlider, "timeSlider", issues);
+}
+
+/**
+ * Semantic checks of a timeSlider block, also used for layerTime timelines.
+ */
+function checkTimeRange(timeSlider, path, issues) {
+  if (!timeSlider || typeOf(timeSlider) !== "object") return;
+  const start = checkDate(timeSlider.timeSliderStart, `${path}.timeSliderStart`, issues);
+  const end = checkDate(timeSlider.timeSliderEnd, `${path}.timeSliderEnd`, issues);
+  if (start && end && start > end) {
+    issues.push(error(path, "timeSliderStart must not be after timeSliderEnd"));
+  }
+  if (timeSlider.timeSliderUnit !== undefined && !TIME_UNITS.includes(timeSlider.timeSliderUnit)) {
+    issues.push(error(`${path}.timeSliderUnit`, `'${timeSlider.timeSliderUnit}' is not a known time unit (${TIME_UNITS.join(", ")})`));
+  }
+  if (timeSlider.timeSliderStep === 0) {
+    issues.push(error(`${path}.timeSliderStep`, "must be greater than 0"));
+  }
+  if (typeof timeSlider.timeSliderTimeZone === "string" && !isValidTimeZone(timeSlider.timeSliderTimeZone)) {
+    issues.push(error(`${path}.timeSliderTimeZone`, `'${timeSlider.timeSliderTimeZone}' is not a known time zone (use "UTC", "local" or an IANA name)`));
+  }
+  const timeWindow = timeSlider.timeSliderWindow;
+  if (typeOf(timeWindow) === "object") {
+    if (timeWindow.unit !== undefined && !TIME_UNITS.includes(timeWindow.unit)) {
+      issues.push(error(`${path}.timeSliderWindow.unit`, `'${timeWindow.unit}' is not a known time unit (${TIME_UNITS.join(", ")})`));
+    }
+    if (timeWindow.value === 0) {
+      issues.push(error(`${path}.timeSliderWindow.value`, "must be greater than 0"));
+    }
+    if (timeSlider.timeSliderMode !== "time-window") {
+      issues.push(warning(`${path}.timeSliderWindow`, "is only used when timeSliderMode is 'time-window'"));
+    }
+  }
+  if (timeSlider.timeSliderLoop === true && timeSlider.timeSliderOnFinish !== undefined) {
+    issues.push(warning(`${path}.timeSliderOnFinish`, "never runs while timeSliderLoop is true"));
+  }
+}
+
+function checkLayerTime(slide, issues) {
+  if (!Array.isArray(slide.layerTime)) return;
+  slide.layerTime.forEach((entry, i) => {
+    if (typeOf(entry) !== "object") return;
+    const path = `layerTime[${i}]`;
+    if (entry.layer !== undefined) checkLayerReference(entry.layer, `${path}.layer`, issues);
+    if (typeOf(entry.timeOffset) === "object" && entry.timeOffset.unit !== undefined && !TIME_UNITS.includes(entry.timeOffset.unit)) {
+      issues.push(error(`${path}.timeOffset.unit`, `'${entry.timeOffset.unit}' is not a known time unit (${TIME_UNITS.join(", ")})`));
+    }
+    if (typeOf(entry.timeExtent) === "object") {
+      const start = entry.timeExtent.start ? checkDate(entry.timeExtent.start, `${path}.timeExtent.start`, issues) : null;
+      const end = entry.timeExtent.end ? checkDate(entry.timeExtent.end, `${path}.timeExtent.end`, issues) : null;
+      if (start && end && start > end) issues.push(error(`${path}.timeExtent`, "start must not be after end"));
+    }
+    checkTimeRange(entry.timeline, `${path}.timeline`, issues);
+    if (entry.timeline && entry.timeExtent !== undefined) {
+      issues.push(error(path, "set either timeExtent or timeline, not both"));
+    }
+    if ((entry.timeline || entry.timeExtent) && entry.useViewTime !== false) {
+      issues.push(warning(path, "without useViewTime: false the layer is also filtered by the view's time slider"));
+    }
+  });
+}
+
+function checkTrackRenderer(slide, issues) {
+  if (typeof slide.trackRenderer?.trackLayerName === "string") {
+    checkLayerReference(slide.trackRenderer.trackLayerName, "trackRenderer.trackLayerName", issues);
+  }
+  if (slide.trackRenderer && !slide.timeSlider) {
+    issues.push(error("trackRenderer", "requires a timeSlider on the same slide to define the track interval"));
+  }
+}
+
+function checkLayerReference(reference, path, issues) {
+  // Wrong types are already reported by the schema
+  if (!["string", "object"].includes(typeOf(reference))) return;
+  const parsed = parseLayerReference(reference);
+  if (!parsed) {
+    issues.push(error(path, `${describeLayerReference(reference)} is not a valid layer reference`));
+  } else if (parsed.kind === "pattern" && !compileLayerPattern(parsed)) {
+    issues.push(error(path, `'${parsed.value}' is not a valid regular expression`));
+  }
+}
+
+function checkLayerVisibility(slide, issues) {
+  const layerVisibility = slide.layerVisibility;
+  if (!layerVisibility || typeOf(layerVisibility) !== "object") return;
+  const layersOn = Array.isArray(layerVisibility.layersOn) ? layerVisibility.layersOn.map(describeLayerReference) : [];
+  const layersOff = Array.isArray(layerVisibility.layersOff) ? layerVisibility.layersOff.map(describeLayerReference) : [];
+  layersOn.filter((label) => layersOff.includes(label)).forEach((label) => {
+    issues.push(warning("layerVisibility", `'${label}' is listed in both layersOn and layersOff`));
+  });
+  [["layersOn", layersOn], ["layersOff", layersOff]].forEach(([key, labels]) => {
+    labels.filter((label, i) => labels.indexOf(label) !== i).forEach((label) => {
+      issues.push(warning(`layerVisibility.${key}`, `'${label}' is listed more than once`));
+    });
+    (layerVisibility[key] || []).forEach((reference, i) => checkLayerReference(reference, `layerVisibility.${key}[${i}]`, issues));
+  });
+}
+
+function checkLayerOpacity(slide, issues) {
+  const layerOpacity = slide.layerOpacity;
+  if (!layerOpacity || typeOf(layerOpacity) !== "object") return;
+  const layersOff = Array.isArray(slide.layerVisibility?.layersOff) ? slide.layerVisibility.layersOff : [];
+  Object.entries(layerOpacity).forEach(([reference, opacity]) => {
+    checkLayerReference(reference, `layerOpacity.${reference}`, issues);
+    if (opacity > 0 && layersOff.includes(reference)) {
+      issues.push(warning(`layerOpacity.${reference}`, "layer is also listed in layersOff, so its opacity may not be seen"));
+    }
+  });
+}
+
+function checkFeatureFilter(slide, issues) {
+  if (!Array.isArray(slide.featureFilter)) return;
+  slide.featureFilter.forEach((entry, i) => {
+    const path = `featureFilter[${i}]`;
+    if (typeOf(entry) !== "object") return;
+    if (entry.layer !== undefined) checkLayerReference(entry.layer, `${path}.layer`, issues);
+    ["includedEffect", "excludedEffect"].forEach((key) => {
+      const effect = entry.effect?.[key];
+      const values = Array.isArray(effect) ? effect.map((scaleEntry) => scaleEntry?.value) : [effect];
+      if (effect !== undefined && values.some((value) => !parseEffect(value))) {
+        issues.push(error(`${path}.effect.${key}`, "is not a valid layer effect (e.g. \"grayscale(100%) blur(2px)\")"));
+      }
+    });
+    if (entry.effect?.excludedEffect !== undefined && !entry.filter) {
+      issues.push(warning(`${path}.effect.excludedEffect`, "has no effect without a filter; includedEffect applies to every feature"));
+    }
+  });
+}
+
+function checkLayerRenderer(slide, nextSlide, issues) {
+  if (!Array.isArray(slide.layerRenderer)) return;
+  slide.layerRenderer.forEach((entry, i) => {
+    if (typeOf(entry) !== "object" || entry.layer === undefined) return;
+    checkLayerReference(entry.layer, `layerRenderer[${i}].layer`, issues);
+    // Stops only interpolate when the next slide's matching variable has as many stops
+    const layerKey = describeLayerReference(entry.layer);
+    const nextEntry = Array.isArray(nextSlide?.layerRenderer)
+      ? nextSlide.layerRenderer.find((candidate) => candidate && describeLayerReference(candidate.layer) === layerKey)
+      : null;
+    const nextVariables = nextEntry?.renderer?.visualVariables || [];
+    (entry.renderer?.visualVariables || []).forEach((variable, j) => {
+      const target = nextVariables.find((candidate) => candidate?.type === variable?.type && candidate?.field === variable?.field);
+      if (target && Array.isArray(variable.stops) && Array.isArray(target.stops) && variable.stops.length !== target.stops.length) {
+        issues.push(warning(`layerRenderer[${i}].renderer.visualVariables[${j}].stops`, "has a different number of stops than the next slide, so it will not interpolate"));
+      }
+    });
+  });
+}
+
+function checkEnvironment(slide, config, issues) {
+  const environment = slide.environment;
+  if (!environment || typeOf(environment) !== "object") return;
+  checkEnvironmentBlock(environment, "environment", issues);
+  if (Array.isArray(slide.maps) && !slide.maps.some((i) => config?.maps?.[i]?.type === "webscene")) {
+    issues.push(warning("environment", "environment is only applied to scene views but this slide only shows 2D maps"));
+  }
+}
+
+/**
+ * Semantic checks of an environment block, also used for keyframes.
+ */
+function checkEnvironmentBlock(environment, path, issues) {
+  const { lighting, weather, ground, background } = environment;
+  checkDate(lighting?.datetime, `${path}.lighting.datetime`, issues);
+  if (lighting?.type === "virtual") {
+    ["datetime", "sun", "displayUTCOffset", "cameraTrackingEnabled"].forEach((key) => {
+      if (lighting[key] !== undefined) issues.push(warning(`${path}.lighting.${key}`, "only applies to sun lighting"));
+    });
+  }
+  if (typeOf(weather) === "object" && weather.type !== undefined) {
+    Object.entries(WEATHER_NUMBERS).forEach(([key, types]) => {
+      if (weather[key] !== undefined && !types.includes(weather.type)) {
+        issues.push(warning(`${path}.weather.${key}`, `is not used by '${weather.type}' weather (only ${types.join(", ")})`));
+      }
+    });
+    if (weather.snowCover !== undefined && weather.type !== "snowy") {
+      issues.push(warning(`${path}.weather.snowCover`, "is only used by 'snowy' weather"));
+    }
+  }
+  [[background?.color, `${path}.background.color`], [ground?.surfaceColor, `${path}.ground.surfaceColor`]].forEach(([color, colorPath]) => {
+    if ((typeof color === "string" || Array.isArray(color)) && !parseColor(color)) {
+      issues.push(warning(colorPath, "only [r, g, b, a], \"#rrggbb\" and \"rgb(a)(...)\" colours can be interpolated while scrolling"));
+    }
+  });
+}
+
+function checkEasing(slide, issues) {
+  const easing = slide.easing;
+  if (!easing || typeOf(easing) !== "object") return;
+  Object.entries(easing).forEach(([key, spec]) => {
+    const path = `easing.${key}`;
+    if (key !== "default" && (!slideSchema.properties[key] || ["note", "maps", "easing", "keyframes"].includes(key))) {
+      issues.push(warning(path, `'${key}' is not an animated choreography key`));
+    } else if (key === "transition") {
+      issues.push(warning(path, "transitions take their easing from transition.easing"));
+    }
+    checkEasingSpec(spec, path, issues);
+  });
+}
+
+/**
+ * Checks one easing entry: a curve or { curve, range }.
+ */
+function checkEasingSpec(spec, path, issues) {
+  const specType = typeOf(spec);
+  if (!["string", "array", "object"].includes(specType)) {
+    issues.push(error(path, `expected a curve or { curve, range } but found ${specType}`));
+    return;
+  }
+  const curve = specType === "object" ? spec.curve : spec;
+  if (curve !== undefined && !resolveEasing(curve)) {
+    issues.push(error(path, `'${curve}' is not a named easing curve or a valid cubic-bezier(x1, y1, x2, y2)`));
+  }
+  const range = specType === "object" ? spec.range : undefined;
+  if (range !== undefined) {
+    const validRange = Array.isArray(range) && range.length === 2 &&
+      range.every((value) => typeof value === "number" && value >= 0 && value <= 1) && range[0] < range[1];
+    if (!validRange) issues.push(error(`${path}.range`, "must be [start, end] with 0 <= start < end <= 1"));
+  }
+}
+
+// Options that only mean something for one transition type
+const TRANSITION_OPTIONS = { direction: "swipe", center: "reveal", point: "reveal", blur: "dissolve", zoom: "dissolve" };
+
+function checkTransition(slide, issues) {
+  const transition = slide.transition;
+  if (!transition || typeOf(transition) !== "object") return;
+  if (!Array.isArray(slide.maps) || slide.maps.length < 2) {
+    issues.push(warning("transition", "only applies to slides with two maps (maps: [from, to])"));
+  }
+  const type = transition.type ?? "fade";
+  Object.entries(TRANSITION_OPTIONS).forEach(([option, optionType]) => {
+    if (transition[option] !== undefined && type !== optionType) {
+      issues.push(warning(`transition.${option}`, `is only used by '${optionType}' transitions`));
+    }
+  });
+  if (transition.center !== undefined && transition.point !== undefined) {
+    issues.push(warning("transition.center", "is ignored when a point is given"));
+  }
+  if (transition.easing !== undefined) checkEasingSpec(transition.easing, "transition.easing", issues);
+}
+
+function checkKeyframes(slide, issues) {
+  if (!Array.isArray(slide.keyframes)) return;
+  const keyframeProperties = ["at", ...Object.values(KEYFRAME_KEYS).map((definition) => definition.property)];
+  let previousAt = 0;
+  slide.keyframes.forEach((keyframe, i) => {
+    const path = `keyframes[${i}]`;
+    if (typeOf(keyframe) !== "object") return;
+    Object.keys(keyframe).forEach((key) => {
+      if (!keyframeProperties.includes(key)) issues.push(warning(`${path}.${key}`, `'${key}' cannot be keyframed and will be ignored`));
+    });
+    if (typeof keyframe.at === "number") {
+      if (keyframe.at <= previousAt && i > 0) issues.push(error(`${path}.at`, "keyframes must be in increasing order of 'at'"));
+      previousAt = keyframe.at;
+    }
+    Object.entries(KEYFRAME_KEYS).forEach(([key, definition]) => {
+      if (keyframe[definition.property] !== undefined && slide[key] === undefined) {
+        issues.push(error(`${path}.${definition.property}`, `requires the slide to define '${key}'`));
+      }
+    });
+    if (keyframe.time !== undefined) {
+      const time = checkDate(keyframe.time, `${path}.time`, issues);
+      const start = parseChoreographyDate(slide.timeSlider?.timeSliderStart);
+      const end = parseChoreographyDate(slide.timeSlider?.timeSliderEnd);
+      if (time && start && end && (time < start || time > end)) {
+        issues.push(warning(`${path}.time`, "lies outside timeSliderStart/timeSliderEnd"));
+      }
+    }
+    if (typeOf(keyframe.environment) === "object") checkEnvironmentBlock(keyframe.environment, `${path}.environment`, issues);
+  });
+}
+
+/**
+ * Checks the keys handled by choreography plugins (see plugins.js) against
+ * the plugin's schema and its own validate hook.
+ */
+function checkPluginKeys(slide, issues) {
+  Object.keys(slide).forEach((key) => {
+    const plugin = getChoreographyPlugin(key);
+    if (!plugin) return;
+    if (plugin.schema) checkSchema(slide[key], plugin.schema, key, issues);
+    if (!plugin.validate) return;
+    try {
+      (plugin.validate(slide[key], slide) || []).forEach((issue) => {
+        const path = issue.path ? `${key}.${issue.path}` : key;
+        issues.push(issue.severity === "warning" ? warning(path, issue.message) : error(path, issue.message));
+      });
+    } catch (e) {
+      issues.push(error(key, `plugin validation failed: ${e.message}`));
+    }
+  });
+}
+
+/**
+ * Validates a single slide against the schema and the semantic rules,
+ * returning the list of issues found (empty when the slide is valid).
+ * nextSlide is used for checks that concern the transition out of the slide.
+ */
+export function validateSlide(slide, config, nextSlide) {
+  const issues = [];
+  if (typeOf(slide) !== "object") {
+    issues.push(error("", `expected object but found ${typeOf(slide)}`));
+    return issues;
+  }
+
+  Object.keys(slide).forEach((key) => {
+    if (!slideSchema.properties[key] && !getChoreographyPlugin(key)) {
+      issues.push(warning(key, `unknown choreography key '${key}' will be ignored`));
+    }
+  });
+
+  const schemaIssues = [];
+  checkSchema(slide, slideSchema, "", schemaIssues);
+  // Drop the leading '.' produced for root-level paths
+  schemaIssues.forEach((issue) => issues.push({ ...issue, path: issue.path.replace(/^\./, "") }));
+
+  checkMaps(slide, config, issues);
+  checkViewpoint(slide, config, issues);
+  checkTimeSlider(slide, issues);
+  checkTrackRenderer(slide, issues);
+  checkLayerVisibility(slide, issues);
+  checkLayerOpacity(slide, issues);
+  checkFeatureFilter(slide, issues);
+  checkLayerRenderer(slide, nextSlide, issues);
+  checkLayerTime(slide, issues);
+  checkTransition(slide, issues);
+  checkEnvironment(slide, config, issues);
+  checkEasing(slide, issues);
+  checkKeyframes(slide, issues);
+  checkPluginKeys(slide, issues);
+  return issues;
+}
+
+/**
+ * Validates the full choreography and builds a per-slide report:
+ * { valid, errorCount, warningCount, slides: [{ index, note, issues }] }.
+ * Only slides with at least one issue are listed. valid is false when any
+ * error was found; warnings alone do not invalidate the choreography.
+ */
+export function validateChoreography(slides, config) {
+  const report = { valid: true, errorCount: 0, warningCount: 0, slides: [] };
+
+  const addIssues = (index, note, issues) => {
+    if (!issues.length) return;
+    issues.forEach((issue) => {
+      if (issue.severity === "error") report.errorCount++;
+      else report.warningCount++;
+    });
+    report.slides.push({ index, note, issues });
+  };
+
+  if (!Array.isArray(slides)) {
+    addIssues(null, null, [error("", `choreography must be an array of slides but found ${typeOf(slides)}`)]);
+  } else if (!slides.length) {
+    addIssues(null, null, [error("", "choreography does not contain any slides")]);
+  } else {
+    slides.forEach((slide, index) => addIssues(index, slide?.note ?? null, validateSlide(slide, config, slides[index + 1])));
+  }
+
+  report.valid = report.errorCount === 0;
+  return report;
+}
+
+/**
+ * Error thrown by loadChoreography when validation fails; carries the full report.
+ */
+export class ChoreographyValidationError extends Error {
+  constructor(report) {
+    super(`Choreography failed validation with ${report.errorCount} error(s)`);
+    this.name = "ChoreographyValidationError";
+    this.report = report;
+  }
+}
+
+/**
+ * Formats a single issue from the report as a line of plain text.
+ */
+export function formatChoreographyIssue(index, note, issue) {
+  const label = index === null ? "Choreography" : `Slide ${index}${note ? ` (${note})` : ""}`;
+  return `${label} ${issue.severity}: ${issue.path ? `${issue.path} ` : ""}${issue.message}`;
+}
+
+/**
+ * Formats a validation report as plain text lines, one per issue.
+ */
+export function formatChoreographyReport(report) {
+  return report.slides.flatMap(({ index, note, issues }) =>
+    issues.map((issue) => formatChoreographyIssue(index, note, issue))
+  );
+}
@@ -0,0 +1,249 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Registry of the views listed in animationConfig.maps. Slides refer to views
+// by their index in that list; each entry owns its map/scene element, view and
+// time slider, and lazy entries are created when a nearby slide needs them and
+// destroyed shortly after no nearby slide does.
+
+import * as reactiveUtils from "@arcgis/core/core/reactiveUtils";
+
+import { syncViews } from "./sceneUtils.js";
+
+// Logger utility
+import { log } from '../src/logger.js';
+
+// Slides before and after the current one whose views are kept alive
+const LIFECYCLE_LOOKAHEAD = 1;
+// Delay before an unneeded view is destroyed, so quick back-and-forth navigation reuses it
+const DESTROY_DELAY_MS = 600;
+const SYNC_THROTTLE_MS = 100;
+
+/**
+ * Creates a view registry for animationConfig.maps. `configureMap` creates or
+ * finds the map/scene element of an index in its container (see
+ * storyMapAnimator.js). Containers are looked up, and created when missing,
+ * within `root` (the document, or e.g. a <choreographed-map> element).
+ *
+ * Each map entry may set `lazy` (default: true for every map but the first)
+ * to choose whether its view is created on demand or kept for the whole story.
+ */
+export function createViewRegistry(animationConfig, configureMap, root = document) {
+  const entries = new Map();
+  let syncWatcher = null;
+  let syncToken = 0;
+  let lastSyncTime = 0;
+
+  function isLazy(index) {
+    return animationConfig.maps[index]?.lazy ?? index !== 0;
+  }
+
+  /**
+   * Returns the container element of a map, creating a hidden one when the
+   * page does not provide it, so maps can be added in configAnimation.js only.
+   */
+  function ensureContainer(index) {
+    const id = animationConfig.maps[index].container;
+    let container = root === document ? document.getElementById(id) : root.querySelector(`#${CSS.escape(id)}`);
+    if (!container) {
+      container = document.createElement("div");
+      container.id = id;
+      container.className = "view";
+      container.style.opacity = "0";
+      container.style.pointerEvents = "none";
+      (root === document ? document.body : root).appendChild(container);
+    }
+    return container;
+  }
+
+  function cancelDestroy(entry) {
+    if (entry.destroyTimer) {
+      clearTimeout(entry.destroyTimer);
+      entry.destroyTimer = null;
+    }
+  }
+
+  /**
+   * Creates (or returns) the entry of a map index: { index, config, element,
+   * view, timeSlider, ready, destroyed }, where `ready` resolves with the view,
+   * or with null when the view is destroyed before it is ready.
+   */
+  function ensure(index) {
+    const config = animationConfig.maps[index];
+    if (!config) throw new Error(`No map configured at index ${index}`);
+
+    let entry = entries.get(index);
+    if (entry) {
+      cancelDestroy(entry);
+      return entry;
+    }
+
+    const container = ensureContainer(index);
+    const element = configureMap(animationConfig, index, null, null, container);
+    if (!element) throw new Error(`Failed to create map ${index}`);
+
+    entry = {
+      index,
+      config,
+      element,
+      view: element.view?.ready ? element.view : null,
+      // Each map/scene element carries its own time slider
+      timeSlider: element.querySelector('arcgis-time-slider'),
+      destroyTimer: null,
+      destroyed: false,
+      resolveReady: null
+    };
+    entry.ready = entry.view
+      ? Promise.resolve(entry.view)
+      : new Promise((resolve) => {
+        entry.resolveReady = resolve;
+        element.addEventListener("arcgisViewReadyChange", () => {
+          entry.view = element.view;
+          resolve(entry.view);
+        }, { once: true });
+      });
+    entries.set(index, entry);
+    log(`View ${index} (${config.type}) created`);
+    return entry;
+  }
+
+  /**
+   * Destroys the view of a map index and removes its element. The container
+   * stays in the page, hidden, for when the view is needed again.
+   */
+  function destroy(index) {
+    const entry = entries.get(index);
+    if (!entry) return;
+    cancelDestroy(entry);
+    entries.delete(index);
+    entry.destroyed = true;
+    // Settles `ready` for awaiters of a view that never became ready
+    entry.resolveReady?.(null);
+
+    try {
+      entry.view?.destroy?.();
+      entry.element.remove?.();
+    } catch (e) {
+      console.warn(`Error destroying view ${index}:`, e);
+    }
+    log(`View ${index} destroyed`);
+  }
+
+  function scheduleDestroy(index, delay = DESTROY_DELAY_MS) {
+    const entry = entries.get(index);
+    if (!entry || entry.destroyTimer) return;
+    entry.destroyTimer = setTimeout(() => {
+      entry.destroyTimer = null;
+      destroy(index);
+    }, delay);
+  }
+
+  /**
+   * Map indices used by the slides around `index`.
+   */
+  function neededViews(index, slides, lookahead = LIFECYCLE_LOOKAHEAD) {
+    const needed = new Set();
+    for (let i = index - lookahead; i <= index + lookahead; i++) {
+      (slides[i]?.maps || []).forEach((mapIndex) => needed.add(mapIndex));
+    }
+    return needed;
+  }
+
+  /**
+   * Keeps the views needed around a slide in step with the slide's primary
+   * view, so a view fading in already shows the same place.
+   */
+  function watchSync(primaryIndex, needed) {
+    const token = ++syncToken;
+    syncWatcher?.remove();
+    syncWatcher = null;
+
+    const others = [...needed].filter((index) => index !== primaryIndex);
+    const source = entries.get(primaryIndex);
+    if (!source || !others.length) return;
+
+    source.ready.then((view) => {
+      if (!view || token !== syncToken) return;
+      syncWatcher = reactiveUtils.watch(
+        () => view.viewpoint,
+        () => {
+          const now = Date.now();
+          if (now - lastSyncTime <= SYNC_THROTTLE_MS) return;
+          lastSyncTime = now;
+          others.forEach((index) => {
+            const target = entries.get(index)?.view;
+            if (target) syncViews(view, target);
+          });
+        }
+      );
+    });
+  }
+
+  /**
+   * Ensures the views used by the slides around `index` (plus any map indices
+   * in `keep`, e.g. views being preloaded), schedules lazy views nobody nearby
+   * uses for destruction, and syncs the slide's other views to its primary
+   * view. Returns the set of needed map indices.
+   */
+  function updateLifecycle(index, slides, keep = []) {
+    const needed = neededViews(index, slides);
+    keep.forEach((mapIndex) => needed.add(mapIndex));
+    animationConfig.maps.forEach((config, mapIndex) => {
+      if (!isLazy(mapIndex)) needed.add(mapIndex);
+    });
+    needed.forEach((mapIndex) => ensure(mapIndex));
+    entries.forEach((entry, mapIndex) => {
+      if (!needed.has(mapIndex)) scheduleDestroy(mapIndex);
+    });
+    // Only the slide's own views follow it; hidden views keep their preloaded viewpoint
+    const slideMaps = slides[index]?.maps || [0];
+    watchSync(slideMaps[0], new Set(slideMaps));
+    return needed;
+  }
+
+  /**
+   * Creates every view that is not lazy.
+   */
+  function init() {
+    animationConfig.maps.forEach((config, index) => {
+      if (!isLazy(index)) ensure(index);
+    });
+  }
+
+  /**
+   * Destroys every view and stops syncing.
+   */
+  function destroyAll() {
+    syncToken++;
+    syncWatcher?.remove();
+    syncWatcher = null;
+    [...entries.keys()].forEach(destroy);
+  }
+
+  return {
+    init,
+    ensure,
+    get: (index) => entries.get(index) ?? null,
+    entries: () => [...entries.values()],
+    whenView: (index) => ensure(index).ready,
+    container: ensureContainer,
+    updateLifecycle,
+    destroy,
+    destroyAll
+  };
+}
@@ -0,0 +1,196 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// Conversion between 3D cameras and equivalent 2D viewpoints.
+//
+// A 2D MapView in Web Mercator reports scale in projected units, which are
+// stretched by 1 / cos(latitude) relative to ground distance, while a
+// SceneView camera is positioned in real metres above the ground. The helpers
+// below work through ground metres at the point the camera looks at so that a
+// map and a scene showing "the same" view line up when crossfaded.
+
+const EARTH_RADIUS = 6378137;
+const INCHES_PER_METER = 39.37;
+const DPI = 96;
+const DEFAULT_FOV = 55;
+const DEFAULT_VIEW_SIZE = { width: 1280, height: 800 };
+const WEB_MERCATOR_WKIDS = [102100, 3857, 102113, 900913];
+const DEGREES_PER_METER = 180 / (Math.PI * EARTH_RADIUS);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+function isWebMercator(spatialReference) {
+  return !spatialReference ||
+    WEB_MERCATOR_WKIDS.includes(spatialReference.wkid) ||
+    WEB_MERCATOR_WKIDS.includes(spatialReference.latestWkid);
+}
+
+/**
+ * Latitude in degrees of a point given in Web Mercator or geographic coordinates.
+ */
+export function latitudeOf(point) {
+  if (!point) return 0;
+  if (!isWebMercator(point.spatialReference)) return point.y;
+  return (2 * Math.atan(Math.exp(point.y / EARTH_RADIUS)) - Math.PI / 2) * (180 / Math.PI);
+}
+
+/**
+ * Map units per ground metre along x and y at a latitude. Web Mercator
+ * stretches both axes by 1 / cos(lat); geographic coordinates are degrees.
+ */
+function unitsPerMeter(spatialReference, latitude) {
+  const cosLat = Math.max(Math.cos(toRadians(latitude)), 1e-6);
+  if (isWebMercator(spatialReference)) return { x: 1 / cosLat, y: 1 / cosLat };
+  return { x: DEGREES_PER_METER / cosLat, y: DEGREES_PER_METER };
+}
+
+/**
+ * Horizontal and vertical half-angles of the view frustum. ArcGIS camera fov is
+ * the diagonal field of view, so it is split according to the viewport aspect.
+ */
+function halfAngles(fov, { width, height }) {
+  const diagonal = Math.sqrt(width * width + height * height);
+  const tanHalfDiagonal = Math.tan(toRadians(fov ?? DEFAULT_FOV) / 2);
+  return {
+    tanHorizontal: (tanHalfDiagonal * width) / diagonal,
+    tanVertical: (tanHalfDiagonal * height) / diagonal
+  };
+}
+
+function resolveViewSize(viewSize) {
+  const width = viewSize?.width > 0 ? viewSize.width : DEFAULT_VIEW_SIZE.width;
+  const height = viewSize?.height > 0 ? viewSize.height : DEFAULT_VIEW_SIZE.height;
+  return { width, height };
+}
+
+/**
+ * 2D viewpoint rotation is the clockwise rotation of north from the top of the
+ * view; camera heading is the compass direction the camera faces.
+ */
+export function headingToRotation(heading) {
+  return (360 - (heading ?? 0)) % 360;
+}
+
+export function rotationToHeading(rotation) {
+  return (360 - (rotation ?? 0)) % 360;
+}
+
+/**
+ * Converts camera JSON into the equivalent 2D viewpoint JSON for a viewport of
+ * viewSize ({ width, height } in pixels). The viewpoint is centred on the point
+ * where the camera's line of sight meets the ground (capped for near-horizon
+ * tilts), with a scale and extent matching the ground resolution there.
+ * Returns { rotation, scale, targetGeometry, center } or null.
+ */
+export function cameraToViewpoint(camera, viewSize) {
+  if (!camera?.position) return null;
+  const size = resolveViewSize(viewSize);
+  const { x, y, spatialReference } = camera.position;
+  const z = Math.max(camera.position.z ?? 0, 1);
+  // Keep the line of sight hitting the ground; beyond ~85° the target runs off to the horizon
+  const tilt = Math.min(camera.tilt ?? 0, 85);
+  const heading = camera.heading ?? 0;
+
+  // Ground distance from the camera nadir to the target, and slant distance to it
+  const groundDistance = z * Math.tan(toRadians(tilt));
+  const slantDistance = z / Math.cos(toRadians(tilt));
+
+  const latitude = latitudeOf(camera.position);
+  let units = unitsPerMeter(spatialReference, latitude);
+  const center = {
+    x: x + groundDistance * Math.sin(toRadians(heading)) * units.x,
+    y: y + groundDistance * Math.cos(toRadians(heading)) * units.y,
+    spatialReference
+  };
+  // Re-evaluate the projection stretch at the target rather than under the camera
+  units = unitsPerMeter(spatialReference, latitudeOf(center));
+
+  const { tanHorizontal } = halfAngles(camera.fov, size);
+  const groundWidth = 2 * slantDistance * tanHorizontal;
+  const groundResolution = groundWidth / size.width;
+  const mapWidth = groundWidth * units.x;
+  const mapHeight = (mapWidth * size.height) / size.width;
+
+  const scale = isWebMercator(spatialReference)
+    ? groundResolution * units.x * INCHES_PER_METER * DPI
+    : groundResolution * INCHES_PER_METER * DPI;
+
+  return {
+    rotation: headingToRotation(heading),
+    scale,
+    center,
+    targetGeometry: {
+      spatialReference,
+      xmin: center.x - mapWidth / 2,
+      ymin: center.y - mapHeight / 2,
+      xmax: center.x + mapWidth / 2,
+      ymax: center.y + mapHeight / 2
+    }
+  };
+}
+
+/**
+ * Converts 2D viewpoint JSON (extent and/or centre point plus scale) into camera
+ * JSON looking at the viewpoint centre with the given tilt and fov, positioned
+ * so the ground resolution at the centre matches the 2D scale.
+ * options: { tilt = 0, fov = 55 }. Returns null when the viewpoint has no geometry.
+ */
+export function viewpointToCamera(viewpoint, viewSize, options = {}) {
+  const geometry = viewpoint?.targetGeometry;
+  if (!geometry) return null;
+  const size = resolveViewSize(viewSize);
+  const tilt = Math.min(options.tilt ?? 0, 85);
+  const fov = options.fov ?? DEFAULT_FOV;
+  const heading = rotationToHeading(viewpoint.rotation);
+  const spatialReference = geometry.spatialReference;
+
+  const isExtent = geometry.xmin !== undefined;
+  const center = isExtent
+    ? { x: (geometry.xmin + geometry.xmax) / 2, y: (geometry.ymin + geometry.ymax) / 2, spatialReference }
+    : { x: geometry.x, y: geometry.y, spatialReference };
+  const units = unitsPerMeter(spatialReference, latitudeOf(center));
+
+  // Ground metres per pixel, from the scale when given, otherwise from the extent width
+  let groundResolution;
+  if (viewpoint.scale > 0) {
+    groundResolution = isWebMercator(spatialReference)
+      ? viewpoint.scale / (INCHES_PER_METER * DPI * units.x)
+      : viewpoint.scale / (INCHES_PER_METER * DPI);
+  } else if (isExtent) {
+    groundResolution = (geometry.xmax - geometry.xmin) / units.x / size.width;
+  } else {
+    return null;
+  }
+
+  const { tanHorizontal } = halfAngles(fov, size);
+  const slantDistance = (groundResolution * size.width) / (2 * tanHorizontal);
+  const z = slantDistance * Math.cos(toRadians(tilt));
+  const groundDistance = slantDistance * Math.sin(toRadians(tilt));
+
+  return {
+    position: {
+      spatialReference,
+      x: center.x - groundDistance * Math.sin(toRadians(heading)) * units.x,
+      y: center.y - groundDistance * Math.cos(toRadians(heading)) * units.y,
+      z
+    },
+    heading,
+    tilt,
+    fov
+  };
+}
@@ -18,4 +18,8 @@ limitations under the License.
 
 export const nodeConfig = {
     nodeSelector: '#n-qIs6ym',
+    // Origins of map frames the story may talk to, besides the page's own origin
+    allowedOrigins: ['https://esri.github.io'],
+    // Viewport line (fraction of its height from the top) a narrative panel's top crosses to become the current slide
+    panelReferenceLine: 0.5,
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+/*
+
+Copyright 2026 Esri
+
+Licensed under the Apache License Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+*/
+
+// postMessage protocol between the story host (scrollListener.js) and the
+// map page embedded in it (map/storyMapAnimator.js). Every message is
+//
+//   { source, version, type, payload }
+//
+// where source is HOST_SOURCE or MAP_SOURCE and version is PROTOCOL_VERSION.
+// Host → map:
+//   hello     { isEmbedded }                  opens the handshake
+//   progress  { slide, progress, isEmbedded } scroll position within a slide panel (0–1)
+// Map → host:
+//   ready         { slideCount }              answers hello once the choreography is loaded
+//   slideApplied  { slide }                   the map has applied a slide (layers ready, camera moving)
+//   error         { message, slide? }         the map failed, e.g. its choreography did not load
+//   navigate      { slide }                   asks the story to scroll to a slide's panel
+//
+// Both sides only accept messages from their allowed origins and drop
+// messages whose source, version, type or payload do not match.
+
+export const PROTOCOL_VERSION = 1;
+export const HOST_SOURCE = "storymap-controller";
+export const MAP_SOURCE = "storymap-map";
+
+const isBoolean = (value) => typeof value === "boolean";
+const isSlideIndex = (value) => Number.isInteger(value) && value >= 0;
+
+// Per message type: the payload fields and a check for each (optional fields may be undefined)
+const PAYLOAD_FIELDS = {
+  [HOST_SOURCE]: {
+    hello: {
+      isEmbedded: { check: isBoolean, optional: true }
+    },
+    progress: {
+      slide: { check: isSlideIndex },
+      progress: { check: (value) => typeof value === "number" && value >= 0 && value <= 1 },
+      isEmbedded: { check: isBoolean, optional: true }
+    }
+  },
+  [MAP_SOURCE]: {
+    ready: {
+      slideCount: { check: (value) => Number.isInteger(value) && value > 0 }
+    },
+    slideApplied: {
+      slide: { check: isSlideIndex }
+    },
+    error: {
+      message: { check: (value) => typeof value === "string" },
+      slide: { check: isSlideIndex, optional: true }
+    },
+    navigate: {
+      slide: { check: isSlideIndex }
+    }
+  }
+};
+
+/**
+ * Builds a protocol message.
+ */
+export function createMessage(source, type, payload = {}) {
+  return { source, version: PROTOCOL_VERSION, type, payload };
+}
+
+/**
+ * Whether an origin is allowed: the page's own origin always is, as are the
+ * origins in the list. "*" allows every origin.
+ */
+export function isAllowedOrigin(origin, allowedOrigins = []) {
+  return origin === window.location.origin || allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+}
+
+/**
+ * Target origin to post to a frame with: the origin of its src when allowed,
+ * or null when messages must not be sent to it.
+ */
+export function frameOrigin(iframe, allowedOrigins) {
+  try {
+    const origin = new URL(iframe.getAttribute("src") || "", window.location.href).origin;
+    return isAllowedOrigin(origin, allowedOrigins) ? origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validates a received message from `source`. Returns { message } when it is
+ * well formed, or { error } describing why it is rejected. Messages from
+ * other senders (no or another source) are { ignored: true }, since any
+ * script on the page may use postMessage.
+ */
+export function parseMessage(data, source) {
+  if (!data || typeof data !== "object" || data.source !== source) return { ignored: true };
+  if (data.version !== PROTOCOL_VERSION) {
+    return { error: `unsupported protocol version ${JSON.stringify(data.version)} (expected ${PROTOCOL_VERSION})` };
+  }
+  const fields = PAYLOAD_FIELDS[source]?.[data.type];
+  if (!fields) return { error: `unknown message type ${JSON.stringify(data.type)}` };
+
+  const payload = data.payload;
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { error: `'${data.type}' message without a payload object` };
+  }
+  for (const [name, { check, optional }] of Object.entries(fields)) {
+    if (payload[name] === undefined && optional) continue;
+    if (!check(payload[name])) return { error: `'${data.type}' message with invalid ${name}: ${JSON.stringify(payload[name])}` };
+  }
+  return { message: { type: data.type, payload } };
+}
@@ -18,19 +18,28 @@ limitations under the License.
 
 import { nodeConfig } from './configNode.js';
 import { log } from './logger.js';
+import { HOST_SOURCE, MAP_SOURCE, createMessage, frameOrigin, isAllowedOrigin, parseMessage } from './messageProtocol.js';
 import throttle from 'lodash.throttle';
-// This sets shared state variables used across the scroll-driven story map
-let isDocked = false;
-let dockStartScroll = null;
 
-let lastScrollY = window.scrollY;
-let scrollDirection = "down"; // or 'up';
+// Narrative panels of the immersive block, one per slide in story order
+const PANEL_SELECTOR = "div.immersive-narrative-panel";
+
+// This sets shared state variables used across the scroll-driven story map
+let storyRoot = null;
+let panels = [];
 let currentSlide = 0;
+// Cached panel layout (see getPanelLayout); null until measured or after invalidation
+let panelLayout = null;
+let panelResizeObserver = null;
+
+// Per map iframe: handshake state { ready, slideCount } and the last progress posted to it
+const frameStates = new WeakMap();
+const rejectedMessages = new Set();
 
 log("Scroll listener initialized.");
 
 // --- Utility Functions ---
-// DOM readiness, panel height, scroll bounds...
+// DOM readiness, panel geometry...
 
 // Waits for an element matching the selector to appear in the DOM,
 // then executes the callback with the found element. Uses MutationObserver for efficiency.
@@ -52,195 +61,238 @@ function waitForElement(selector, callback) {
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
-// Calculates the effective height of a narrative panel element,
-// adjusting for top margin if it's the first panel,
-// bottom padding if it's the last panel,
-// or both top and bottom margins for other panels.
-function getPanelHeight(panel) {
-  return panel.classList.contains("first")
-    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).marginTop)
-    : panel.classList.contains("last")
-    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).paddingBottom)
-    : panel.offsetHeight +
-      parseFloat(getComputedStyle(panel).marginBottom) +
-      parseFloat(getComputedStyle(panel).marginTop);
-}
-
-// Computes the scroll boundaries for the current slide panel.
-// Accumulates the height of all previous panels to determine the start scroll position,
-// then adds the current panel's height to get the end scroll position.
-function getPanelScrollBounds(panels, currentSlide) {
-  let panelStartScroll = dockStartScroll;
-
-  for (let i = 0; i < currentSlide; i++) {
-    panelStartScroll += getPanelHeight(panels[i]);
-  }
+// The line across the viewport, in px from its top, at which a panel is
+// current: a slide starts when its panel's top crosses the line.
+function getReferenceLine() {
+  return window.innerHeight * (nodeConfig.panelReferenceLine ?? 0.5);
+}
 
-  const panelHeight = getPanelHeight(panels[currentSlide]);
-  const panelEndScroll = panelStartScroll + panelHeight;
+// Measures the panels once into document coordinates: the top of every
+// slide's scroll range and the end of the last one (the last panel's bottom
+// without its bottom padding). Kept until the panel list changes or a resize
+// invalidates it, so scrolling never forces a layout.
+function getPanelLayout() {
+  if (panelLayout) return panelLayout;
+  const tops = panels.map((panel) => window.scrollY + panel.getBoundingClientRect().top);
+  const last = panels[panels.length - 1];
+  const end = last
+    ? window.scrollY + last.getBoundingClientRect().bottom - parseFloat(getComputedStyle(last).paddingBottom)
+    : 0;
+  panelLayout = { tops, end };
+  return panelLayout;
+}
 
-  return { panelStartScroll, panelEndScroll };
+function invalidatePanelLayout() {
+  panelLayout = null;
 }
 
-// Calculates the scroll progress of the current panel as a normalized value between 0 and 1.
-// Uses the panel's scroll bounds to determine how far the user has scrolled within it.
-function getPanelProgress(panels, currentSlide, scrollY) {
-  const { panelStartScroll, panelEndScroll } = getPanelScrollBounds(
-    panels,
-    currentSlide
-  );
-  let progress =
-    (scrollY - panelStartScroll) / (panelEndScroll - panelStartScroll);
-  return Math.max(0, Math.min(1, progress));
+// Finds the current slide and its progress (0–1) from the cached layout.
+// Slides run back to back, from each panel's top to the next panel's top, so
+// margins between panels belong to the panel above. The search starts at the
+// last known slide, so the result is right in both scroll directions and
+// straight after a reload or resize.
+// Before the first panel the first slide is at 0, after the last the last at 1.
+function getCurrentProgress() {
+  if (!panels.length) return null;
+  const { tops, end } = getPanelLayout();
+  const line = window.scrollY + getReferenceLine();
+
+  let slide = Math.min(currentSlide, tops.length - 1);
+  while (slide > 0 && tops[slide] > line) slide--;
+  while (slide < tops.length - 1 && tops[slide + 1] <= line) slide++;
+
+  const start = tops[slide];
+  const stop = slide < tops.length - 1 ? tops[slide + 1] : end;
+  const progress = stop > start ? (line - start) / (stop - start) : 1;
+  return { slide, progress: Math.max(0, Math.min(1, progress)) };
 }
 
-// --- Observers ---
+// --- Map messaging ---
+// Protocol messages to and from the map iframe (see messageProtocol.js).
 
-// Sets up a MutationObserver to track changes to the iframe's 'src' attribute.
-// When the 'src' updates, it parses the URL fragment (after '#') to extract the slide number,
-// and updates the global `currentSlide` accordingly.
-const createIframeSrcObserver = (iframe) => {
-  return new MutationObserver((mutations) => {
-    const newSrc = iframe.getAttribute("src") || "";
-    const parts = newSrc.split("#");
-    const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
-    currentSlide = isNaN(slideNumber) ? 0 : slideNumber;
-    log("Updated current slide:", currentSlide);
-  });
-};
+// The map iframe inside the immersive block, if rendered.
+function getMapFrame() {
+  return storyRoot?.querySelector("iframe") ?? null;
+}
 
-// Initializes a MutationObserver to monitor docking state changes on a target element.
-// When the element becomes docked (via 'docked' class), it records the scroll position
-// to begin tracking scroll progress. Undocks reset the tracking state.
-function setupDockingObserver(nodeSelector) {
-  const targetSelectorDocked = `${nodeSelector} > div > div[class*='jsx-'][class*='container'][class*='main']`;
+// Posts a protocol message to the map iframe, targeted at its origin.
+// Frames whose origin is not in nodeConfig.allowedOrigins get nothing.
+function postToFrame(iframe, type, payload) {
+  const origin = frameOrigin(iframe, nodeConfig.allowedOrigins);
+  if (!origin || !iframe.contentWindow) {
+    rejectOnce(`Map frame origin is not allowed: ${iframe.getAttribute("src")}`);
+    return;
+  }
+  iframe.contentWindow.postMessage(createMessage(HOST_SOURCE, type, payload), origin);
+}
+
+// Opens the handshake with the map iframe; progress is sent once it answers ready.
+function greetFrame(iframe) {
+  frameStates.set(iframe, { ready: false, slideCount: 0, lastProgress: null });
+  postToFrame(iframe, "hello", { isEmbedded: true });
+}
 
-  waitForElement(targetSelectorDocked, (target) => {
-    const observer = new MutationObserver(() => {
-      const currentlyDocked = target.classList.contains("docked");
+function rejectOnce(reason) {
+  if (rejectedMessages.has(reason)) return;
+  rejectedMessages.add(reason);
+  console.warn(reason);
+}
 
-      if (currentlyDocked && !isDocked) {
-        isDocked = true;
-        const currentScroll = window.scrollY;
-        log(currentScroll, scrollDirection);
+// Sends the current slide and progress to the map, once it is ready and
+// only for slides it has. A value equal to the last one posted is not re-sent.
+function sendProgress() {
+  const iframe = getMapFrame();
+  const frameState = iframe && frameStates.get(iframe);
+  if (!frameState?.ready) return;
+
+  const current = getCurrentProgress();
+  if (!current) return;
+  currentSlide = current.slide;
+  if (current.slide >= frameState.slideCount) return;
+
+  const progress = Number(current.progress.toFixed(2));
+  const last = frameState.lastProgress;
+  if (last && last.slide === current.slide && last.progress === progress) return;
+  frameState.lastProgress = { slide: current.slide, progress };
+
+  log("Scroll: [slide", current.slide, "], [progress:", progress.toFixed(2) + "]")
+  postToFrame(iframe, "progress", {
+    slide: current.slide,
+    progress,
+    isEmbedded: true
+  });
+}
+
+// Listens for the map's protocol messages: the handshake, slide and error
+// reports, and navigation requests. Only messages from an allowed origin and
+// from the map iframe itself are accepted.
+function setupMapMessageListener() {
+  window.addEventListener("message", (event) => {
+    const { message, error, ignored } = parseMessage(event.data, MAP_SOURCE);
+    if (ignored) return;
+    const iframe = getMapFrame();
+    if (!isAllowedOrigin(event.origin, nodeConfig.allowedOrigins) || !iframe || event.source !== iframe.contentWindow) {
+      rejectOnce(`Rejected map message from ${event.origin}`);
+      return;
+    }
+    if (error) {
+      rejectOnce(`Rejected map message: ${error}`);
+      return;
+    }
 
-        if (scrollDirection === "down") {
-          dockStartScroll = currentScroll;
+    const frameState = frameStates.get(iframe);
+    switch (message.type) {
+      case "ready":
+        frameStates.set(iframe, { ready: true, slideCount: message.payload.slideCount, lastProgress: null });
+        log("Map ready with", message.payload.slideCount, "slides");
+        // Bring the map to where the reader already is, e.g. after a reload mid-story
+        sendProgress();
+        break;
+      case "slideApplied":
+        log("Map applied slide", message.payload.slide);
+        break;
+      case "error":
+        console.error("Map error:", message.payload.message, message.payload.slide !== undefined ? `(slide ${message.payload.slide})` : "");
+        break;
+      case "navigate":
+        if (!frameState?.ready || message.payload.slide >= frameState.slideCount) {
+          rejectOnce(`Rejected map navigation to slide ${message.payload.slide}`);
+          break;
         }
+        scrollToSlide(message.payload.slide);
+        break;
+    }
+  });
+}
+
+// Scrolls the story to the narrative panel of a slide, as requested by the map,
+// so the panel's top lands on the reference line (the slide's progress 0).
+function scrollToSlide(slide) {
+  const panel = panels[slide];
+  if (!panel) {
+    rejectOnce(`No narrative panel for slide ${slide}`);
+    return;
+  }
+  log("Map requested slide", slide);
+  const top = getPanelLayout().tops[slide] - getReferenceLine();
+  window.scrollTo({ top: Math.max(0, top), behavior: "smooth" });
+}
 
-        log("Docked: Starting scroll tracking at", dockStartScroll);
-      }
+// --- Observers ---
 
-      if (!currentlyDocked && isDocked) {
-        isDocked = false;
-      }
-    });
+// Re-reads the panel list and observes new panels. StoryMaps renders and
+// re-renders panels at any time, so this runs on every DOM change in the block;
+// the layout is only dropped when the list itself changed.
+function refreshPanels() {
+  const found = [...storyRoot.querySelectorAll(PANEL_SELECTOR)];
+  if (found.length === panels.length && found.every((panel, i) => panel === panels[i])) return;
+
+  panels.forEach((panel) => panelResizeObserver.unobserve(panel));
+  panels = found;
+  panels.forEach((panel) => panelResizeObserver.observe(panel));
+  invalidatePanelLayout();
+  log(`Tracking ${panels.length} narrative panels.`);
+  sendProgress();
+}
 
-    observer.observe(target, { attributes: true, attributeFilter: ["class"] });
-    log("Docking observer attached.");
+// Watches the immersive block for panel changes, and the panels, the block
+// and the page for resizes (which also cover window resizes and content
+// reflowing above the story). Resizes move the panels, so they drop the layout.
+function setupPanelTracking(root) {
+  storyRoot = root;
+  panelResizeObserver = new ResizeObserver(() => {
+    invalidatePanelLayout();
+    sendProgress();
   });
+  panelResizeObserver.observe(document.body);
+  panelResizeObserver.observe(root);
+  new MutationObserver(refreshPanels).observe(root, { childList: true, subtree: true });
+  // A height-only resize keeps the layout but moves the reference line
+  window.addEventListener("resize", throttle(sendProgress, 100), { passive: true });
+  refreshPanels();
 }
 
 // Continuously monitors a DOM node for the (re)insertion of an iframe.
-// Once detected, it initializes the iframe by sending a postMessage,
-// resets the current slide to 0, and attaches a MutationObserver to track 'src' changes.
-function watchForIframeForever(nodeSelector) {
-  const iframeSelector = `${nodeSelector} iframe`;
-  waitForElement(nodeSelector, (root) => {
-    const observer = new MutationObserver(() => {
-      const iframe = root.querySelector(iframeSelector);
-      if (iframe && !iframe.dataset.observed) {
-        log(`Frame (re)found under ${nodeSelector}, attaching observer.`);
-        iframe.dataset.observed = "true";
-        currentSlide = 0;
-
-        iframe.contentWindow.postMessage(
-          {
-            source: "storymap-controller",
-            payload: { isEmbedded: true },
-          },
-          "*"
-        );
-
-        const srcObserver = createIframeSrcObserver(iframe);
-        srcObserver.observe(iframe, {
-          attributes: true,
-          attributeFilter: ["src"],
-          attributeOldValue: true,
-        });
-      }
-    });
-
-    observer.observe(root, { childList: true, subtree: true });
-    log(`Watching ${nodeSelector} for iframe (re)insertion.`);
-  });
+// Once detected, it opens the handshake with the map (again whenever the frame
+// loads a new page).
+function watchForIframeForever(root) {
+  const findFrame = () => {
+    const iframe = getMapFrame();
+    if (iframe && !iframe.dataset.observed) {
+      log("Map frame (re)found, opening handshake.");
+      iframe.dataset.observed = "true";
+      greetFrame(iframe);
+      iframe.addEventListener("load", () => greetFrame(iframe));
+    }
+  };
+  const observer = new MutationObserver(findFrame);
+
+  observer.observe(root, { childList: true, subtree: true });
+  // The frame may already be in the block when it is found
+  findFrame();
+  log("Watching for map frame (re)insertion.");
 }
 
 // --- Scroll tracking ---
 
-// Attaches a scroll listener to track the user's scroll position and direction.
-// When the target element is docked, it calculates the scroll progress of the current slide panel,
-// logs the progress, and sends it to the embedded iframe via postMessage for synchronization.
-function setupScrollListener(nodeSelector) {
-  const iframeSelector = `${nodeSelector} iframe`;
-
-  const throttledScrollHandler = throttle(() => {
-    const currentScroll = window.scrollY;
-    scrollDirection =
-      currentScroll > lastScrollY
-        ? "down"
-        : currentScroll < lastScrollY
-        ? "up"
-        : scrollDirection;
-    lastScrollY = currentScroll;
-
-    if (!isDocked || dockStartScroll === null) return;
-
-    const panels = document.querySelectorAll("div.immersive-narrative-panel");
-    if (currentSlide < panels.length) {
-      // Fallback: Check iframe src directly to update currentSlide
-      const iframe = document.querySelector(iframeSelector);
-      if (iframe) {
-        const iframeSrc = iframe.getAttribute("src") || "";
-        const parts = iframeSrc.split("#");
-        const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
-        const detectedSlide = isNaN(slideNumber) ? 0 : slideNumber;
-        if (detectedSlide !== currentSlide) {
-          currentSlide = detectedSlide;
-        }
-      }
-      
-      const progress = getPanelProgress(panels, currentSlide, currentScroll);
-      log("Scroll: [slide", currentSlide, "], [progress:", progress .toFixed(2) + "]")
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage(
-          {
-            source: "storymap-controller",
-            payload: {
-              type: "progress",
-              slide: currentSlide, 
-              progress: progress.toFixed(2),
-              isEmbedded: true
-            },
-          },
-          "*"
-        );
-      }
-    }
-  });
-
-  window.addEventListener("scroll", throttledScrollHandler, { passive: true });
+// Attaches a scroll listener that sends the current slide's progress to the
+// embedded iframe for synchronization.
+function setupScrollListener() {
+  window.addEventListener("scroll", throttle(sendProgress), { passive: true });
 }
 
 // --- Initialization ---
 
-// Initializes the full scroll tracking system for a story map.
-// Sets up observers for docking state, iframe (re)insertion and src changes,
-// and attaches a scroll listener to track slide progress and sync it with the embedded iframe.
+// Initializes the full scroll tracking system for a story map once its
+// immersive block is in the page: the map message listener, panel tracking,
+// iframe (re)insertion and the scroll listener.
 async function createStoryScrollListener(nodeSelector) {
-  setupDockingObserver(nodeSelector);
-  watchForIframeForever(nodeSelector);
-  setupScrollListener(nodeSelector);
+  setupMapMessageListener();
+  waitForElement(nodeSelector, (root) => {
+    setupPanelTracking(root);
+    watchForIframeForever(root);
+    setupScrollListener();
+  });
 }
 
-createStoryScrollListener(nodeConfig.nodeSelector)
\ No newline at end of file
+createStoryScrollListener(nodeConfig.nodeSelector)
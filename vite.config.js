@@ -6,7 +6,8 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: 'index.html',
-        map: 'map/map.html'
+        map: 'map/map.html',
+        element: 'map/element.html'
       }
     }
   }